@@ -1,105 +1,65 @@
 #!/usr/bin/env node
 
 import { readFileSync, existsSync } from 'node:fs';
-import { get } from './lib/config.js';
-import { program, Option, InvalidArgumentError } from 'commander';
-import { _error, _ok, _verbose2, _warning } from './lib/logging.js';
-import { dirname, join, resolve } from 'node:path';
+import { get, setCacheDir } from './lib/config.js';
+import { program, Option } from 'commander';
+import {
+  _error,
+  _info,
+  _ok,
+  _verbose,
+  _verbose2,
+  _warning,
+  addNonSecret,
+  addSecret,
+  configureLogging,
+} from './lib/logging.js';
+import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { prepareOpenSearch, runOpenSearch } from './lib/opensearch.js';
 import { prepareDashboards, runDashboards } from './lib/dashboards.js';
-import { camelCase, isGitHubSource, isVersion } from './lib/utils.js';
-import { killSubprocesses } from './lib/subprocess.js';
+import { handleSignals, stopSubprocesses, superviseProcess, waitForSubprocesses } from './lib/subprocess.js';
+import {
+  assertDeploymentStopped,
+  deploymentStatus,
+  getDeploymentLogs,
+  getDeploymentPaths,
+  inheritDeploymentState,
+  loadDeploymentState,
+  prepareUpgrade,
+  saveDeploymentState,
+  startDeployment,
+  stopDeployment,
+  waitForDeploymentComponent,
+} from './lib/deployment.js';
+import { addServices, removeServices } from './lib/service.js';
+import { applyProfile, exportProfile, loadProfile } from './lib/profile.js';
+import { clearCache, printCache, pruneCache } from './lib/cache.js';
+import { loadSecurityConfig } from './lib/security.js';
+import { getLauncherCA } from './lib/certs.js';
+import { printReleases } from './lib/versions.js';
+import { seedDeployment } from './lib/seed.js';
+import { createSnapshot, printSnapshots, restoreSnapshot } from './lib/snapshot.js';
+import { logLevels, printLogs } from './lib/logs.js';
+import { createSummary } from './lib/summary.js';
+import { getDashboardsTarget, getOpenSearchTarget } from './lib/api.js';
+import { getOptionsError, resolveOptions } from './lib/launch.js';
+import { allocatePorts } from './lib/ports.js';
+import { doctor, runPreflightChecks } from './lib/doctor.js';
+import { createLaunchOptions, duration, nonNegativeInteger, resolvePath } from './lib/options.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const { version: pkgVersion } = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf8'));
 
-const projects = get('projects');
-
-const pluginSlugs = [];
-const pluginDisplays = [];
-for (const { slug, name } of projects) {
-  if (slug === 'dashboards') continue;
-
-  program.addOption(
-    new Option(`--${slug}-source <repo>`, `${name} plugin source to use`)
-      .implies({ [camelCase(`${slug}`)]: true })
-      .hideHelp(),
-  );
-  if (slug !== 'security') {
-    program.addOption(
-      new Option(`--no-${slug}`, `Prevent the inclusion of ${name} Dashboards plugin`)
-        .hideHelp(),
-    );
-  }
-
-  pluginSlugs.push(slug);
-  pluginDisplays.push(slug.padEnd(24, ' ') + name);
-}
-
-const fullVersion = input => {
-  const value = input?.trim?.();
-  if (isVersion(value)) return value;
-
-  throw new InvalidArgumentError('The value needs to be a complete version (e.g. 2.15.0).');
-};
+const pluginDisplays = get('projects')
+  .filter(({ slug }) => slug !== 'dashboards')
+  .map(({ slug, name }) => slug.padEnd(24, ' ') + name);
 
-const gitOrVersionOrDirectory = input => {
-  const value = input?.trim?.();
-  if (isVersion(value)) return value;
-  if (isGitHubSource(value)) return value;
-  if (existsSync(value)) return value;
-
-  if (/[:\/]/.test(value))
-    throw new InvalidArgumentError(
-      'The value needs to be a complete version (e.g. 2.15.0) or in the form of github:user/repo/branch.');
-
-  return `github://${value}`;
-};
-
-const resolveDestination = value => {
-  const destination = value?.trim?.();
-  return resolve(destination);
-};
+for (const option of createLaunchOptions()) program.addOption(option);
 
 program
   .name('osd-launcher')
   .description('CLI to ease the setup of OpenSearch and Dashboards')
-  .option('-os, --opensearch-version <version>', 'OpenSearch version to use', fullVersion)
-  .option(
-    '-osd, --dashboards-version <version|repo|directory>',
-    'Dashboards version to use\n<version>: use a released version\n<repo>: clone a git repo/branch/commit\n<directory>: configure and use existing code',
-    gitOrVersionOrDirectory,
-  )
-  .option(
-    '-d, --destination <path>',
-    'Location for deploying',
-    resolveDestination,
-    process.cwd(),
-  )
-  .option('--no-plugins', 'Prevent installation of Dashboards plugins')
-  .addOption(
-    new Option('--no-security', 'Disable the Security plugins in OpenSearch and Dashboards')
-      .conflicts(['securityVersion'])
-  )
-  .option('--refresh-downloads', 'Re-download artifacts even if they are available in cache')
-  .option(
-    '--opensearch-host <hostname|IP>',
-    'Hostname or IP address for OpenSearch to listen on',
-    '127.0.0.1',
-  )
-  .option('--opensearch-port <number>', 'Port number for OpenSearch to listen on', '9200')
-  .option(
-    '--dashboards-host <hostname|IP>',
-    'Hostname or IP address for OpenSearch to listen on',
-    '0.0.0.0',
-  )
-  .option('--dashboards-port <number>', 'Port number for OpenSearch to listen on', '5601')
-  .option('-u, --username <username>', 'Username to use if security is enable', 'admin')
-  .option('-p, --password <password>', 'Password to use if security is enabled')
-  .option('-dev --no-build', 'Skip building Dashboards when cloned')
-  // ToDo: Add ability to start installations as a service
-  //.option('--add-service', 'Create services for OpenSearch and Dashboards')
   .version(pkgVersion, '-v, --version', 'Print launcher version')
   .showHelpAfterError();
 
@@ -120,6 +80,21 @@ Fine-tuning Dashboards plugins:
 <version> format:
   A complete release version includes all 3 components of a semantic version. e.g. 2.15.0
   
+  An alias resolves to the latest matching release available for this platform:
+    latest, 2 or 2.x, 2.15 or 2.15.x
+  The list of releases is cached for a day, and used as is when offline. Run the versions
+  command to see what is available.
+  
+  Release artifacts are downloaded from the hosts configured in config/artifacts.json. To use
+  a mirror with the same layout, set --artifact-base-url. HTTPS_PROXY and NO_PROXY are honoured
+  for downloads, while OpenSearch and Dashboards are always reached directly. Each artifact is
+  verified against the .sha512 file published next to it, and the launch fails when that file
+  cannot be fetched, unless --skip-checksum is given.
+  
+<archive> format:
+  A path or file:// URL of a local release artifact ending in .tar.gz, .tgz or .zip.
+  e.g. /home/user/opensearch-2.15.0-linux-x64.tar.gz
+  
 <repo> format:
   A GitHub source starts with "github:" and includes all 3 names of the use, the repository
   and the branch:
@@ -127,11 +102,17 @@ Fine-tuning Dashboards plugins:
     
   A shorthand alternative is also supported to use a branch from the official repositories:
     github://2.x
+  Without "github://", a value like 2.x is a version alias and not a branch.
     
   If Dashboards is cloned from a numeric branch name (e.g. 2.15 and 2.x), the plugins will
   be cloned from the matching branch of the official sources, unless a specific source is
   requested for them.
   
+  OpenSearch is built from a repository or directory into a local distribution using Gradle.
+  Plugins given with --opensearch-plugin-source <plugin[=repo]> are built against it, from
+  the official sources, following numeric branches, unless a repo is given. Supported plugin
+  names are those in config/engine-projects.json.
+  
 <dirctory> format:
   A relative or absolute path to a local directory. e.g. /home/user/osd
   
@@ -139,41 +120,69 @@ Fine-tuning Dashboards plugins:
   cloned from the main branch of the official sources.
 `);
 
-program.parse();
+const run = async (opts, summary, { upgrade } = {}) => {
+  const previousState = upgrade && await loadDeploymentState(opts.destination);
+  if (previousState) {
+    const isGiven = key => ['cli', 'env', 'config'].includes(program.getOptionValueSource(key));
+    if (!isGiven('opensearchVersion') && !isGiven('dashboardsVersion'))
+      return program.error('error: Specify the versions to upgrade to with -os and/or -osd.');
 
-const run = async () => {
-  const opts = program.opts();
-  if (opts.plugins !== true) {
-    opts.plugins = false;
-    for (const slug of pluginSlugs)
-      if (slug !== 'security' && !opts[camelCase(`${slug}-source`)])
-        opts[camelCase(slug)] = false;
+    inheritDeploymentState(opts, previousState, isGiven);
   }
-  if (isVersion(opts.dashboardsVersion)) opts.build = false;
 
-  if (opts.security === true && !opts.password)
-    return program.error('error: Password is required when security is enabled. Use -p or --password to set a password, or use --no-security to disable security.');
-  if (opts.security !== true && opts.password)
-    return program.error('error: Password cannot be set when security is disabled (--no-security).');
+  await resolveOptions(opts);
+
+  const problem = getOptionsError(opts);
+  if (problem) return program.error(`error: ${problem}`);
+
+  for (const seed of opts.seed ?? [])
+    if (!existsSync(seed)) return program.error(`error: The seed ${seed} does not exist.`);
+
+  _verbose(`Options: ${JSON.stringify(opts)}`);
 
-  console.log(opts);
+  // Report mistakes in the security config before anything is downloaded
+  if (opts.securityConfig) await loadSecurityConfig(opts.securityConfig);
 
-  const osDir = await prepareOpenSearch(opts);
-  const osdDir = await prepareDashboards(opts);
+  await assertDeploymentStopped(opts.destination);
+  if (previousState) await prepareUpgrade(opts, previousState);
+  await allocatePorts(opts, { opensearch: !!opts.opensearchVersion, dashboards: !!opts.dashboardsVersion });
+  if (!opts.skipChecks) await runPreflightChecks(opts);
+
+  const osDir = await summary.time('prepareOpenSearch', () => prepareOpenSearch(opts));
+  const osdDir = await summary.time('prepareDashboards', () => prepareDashboards(opts));
 
   let osChild, osdChild;
+  const osTimeout = opts.opensearchTimeout;
+  // Building Dashboards on its first start takes a while longer
+  const osdTimeout = opts.dashboardsTimeout ??= opts.build ? 1800 : 600;
+
+  const paths = getDeploymentPaths(opts.destination);
+  const osLogFile = paths.opensearch.logFile;
+  const osdLogFile = paths.dashboards.logFile;
 
   if (osDir) {
-    osChild = await runOpenSearch(osDir, 180, opts);
-    if (!osChild) throw `Failed to run OpenSearch`;
+    summary.setComponent('opensearch', {
+      version: opts.opensearchVersion,
+      dir: osDir,
+      url: getOpenSearchTarget(opts).url,
+      transportPort: Number(opts.opensearchTransportPort),
+      logFile: osLogFile,
+    });
+    osChild = await summary.time('startOpenSearch', () => runOpenSearch(osDir, osTimeout, opts, osLogFile));
+    if (!osChild) throw `Failed to run OpenSearch; see ${osLogFile} for details`;
+    summary.setComponent('opensearch', { pid: osChild.pid });
   }
 
   if (osdDir) {
+    summary.setComponent('dashboards', {
+      version: opts.dashboardsVersion, dir: osdDir, url: getDashboardsTarget(opts).url, logFile: osdLogFile,
+    });
     if (osDir && !osChild) {
       _warning(`Skipping Dashboards health-check!`);
     } else {
-      osdChild = await runDashboards(osdDir, opts.build ? 1800 : 600, opts);
-      if (!osdChild) throw `Failed to run OpenSearch Dashboards`;
+      osdChild = await summary.time('startDashboards', () => runDashboards(osdDir, osdTimeout, opts, osdLogFile));
+      if (!osdChild) throw `Failed to run OpenSearch Dashboards; see ${osdLogFile} for details`;
+      summary.setComponent('dashboards', { pid: osdChild.pid });
     }
   }
 
@@ -185,15 +194,229 @@ const run = async () => {
   else if (osDir && osChild)
     _ok(`OpenSearch installed successfully.`);
 
-  killSubprocesses();
+  if (osChild || osdChild) {
+    const seedFailures = await summary.time('seed', () => seedDeployment(opts, !!osChild, !!osdChild));
+    if (seedFailures) {
+      process.exitCode = 1;
+      summary.fail(`${seedFailures} seeds failed to load`);
+    }
+
+    await saveDeploymentState(opts.destination, { osDir: osChild && osDir, osdDir: osdChild && osdDir }, opts);
+    summary.set({
+      security: opts.security === true,
+      username: opts.security === true ? opts.username : undefined,
+      // The state of the deployment keeps the password, readable only by the user
+      credentials: opts.security === true ? paths.stateFile : undefined,
+      certificateAuthority: ((osChild && opts.security === true) || (osdChild && opts.dashboardsTls))
+        ? opts.caCert ?? getLauncherCA().cert
+        : undefined,
+      dataDir: opts.dataDir,
+    });
+  }
+
+  for (const dir of [previousState?.osDir, previousState?.osdDir]) {
+    if (dir && dir !== osDir && dir !== osdDir && existsSync(dir))
+      _verbose2(`The previous installation in ${dir} is no longer used and can be removed.`);
+  }
+
+  if (!opts.keepRunning) await stopSubprocesses();
+
+  if (opts.addService && (osChild || osdChild)) await addServices(opts.destination, opts.serviceDir);
 
   if (osDir && osChild)
     _verbose2(`OpenSearch: http${opts.security === true ? 's' : ''}://${opts.opensearchHost}:${opts.opensearchPort}`);
   if (osdDir && osdChild)
-    _verbose2(`Dashboards: http://${opts.dashboardsHost}:${opts.dashboardsPort}`);
+    _verbose2(`Dashboards: http${opts.dashboardsTls ? 's' : ''}://${opts.dashboardsHost}:${opts.dashboardsPort}`);
+  if (((osChild && opts.security === true) || (osdChild && opts.dashboardsTls)) && !opts.caCert)
+    _verbose2(`Certificate authority: ${getLauncherCA().cert}`);
+
+  await summary.write();
+
+  if (opts.keepRunning && (osChild || osdChild)) {
+    if (osChild)
+      superviseProcess('OpenSearch', () => runOpenSearch(osDir, osTimeout, opts, osLogFile), opts.maxRestarts);
+    if (osdChild)
+      superviseProcess('Dashboards', () => runDashboards(osdDir, osdTimeout, opts, osdLogFile), opts.maxRestarts);
+
+    _info(`Running in the foreground; press Ctrl-C to stop.`);
+    await waitForSubprocesses();
+  }
 };
 
-run().catch(err => {
+const handleError = err => {
   _error('Error:', err);
   process.exit(1);
-});
\ No newline at end of file
+};
+
+const action = fn => (...args) => Promise.resolve()
+  .then(() => fn(...args))
+  .catch(handleError);
+
+const getOpts = () => {
+  const { profile } = program.opts();
+  if (profile) applyProfile(program, loadProfile(profile));
+
+  const opts = program.opts();
+  setCacheDir(opts.cacheDir);
+  configureLogging({ level: opts.quiet ? 'quiet' : opts.verbose ? 'verbose' : 'normal', stderr: opts.json });
+  addSecret(opts.password);
+  addNonSecret(opts.username);
+
+  return opts;
+};
+
+const launch = async ({ upgrade } = {}) => {
+  const opts = getOpts();
+  const summary = createSummary(opts);
+  try {
+    await run(opts, summary, { upgrade });
+  } catch (ex) {
+    summary.fail(ex);
+    throw ex;
+  } finally {
+    await summary.write();
+  }
+};
+
+program.action(action(() => launch()));
+
+program
+  .command('upgrade')
+  .description('Relaunch a stopped deployment with other versions on top of its data')
+  .action(action(() => launch({ upgrade: true })));
+
+program
+  .command('start')
+  .description('Start a previously launched deployment in the background')
+  .action(action(() => startDeployment(getOpts().destination)));
+
+program
+  .command('stop')
+  .description('Stop a deployment running in the background')
+  .action(action(() => stopDeployment(getOpts().destination)));
+
+program
+  .command('restart')
+  .description('Restart a deployment running in the background')
+  .action(action(async () => {
+    const { destination } = getOpts();
+    await stopDeployment(destination);
+    await startDeployment(destination);
+  }));
+
+program
+  .command('status')
+  .description('Report the state and health of a deployment')
+  .action(action(async () => {
+    if (!await deploymentStatus(getOpts().destination)) process.exitCode = 1;
+  }));
+
+program
+  .command('doctor')
+  .description('Check that this machine has what a launch with the given options needs, and how to fix what it lacks')
+  .action(action(async () => {
+    if (!await doctor(getOpts())) process.exitCode = 1;
+  }));
+
+program
+  .command('remove-service')
+  .description('Stop and remove the systemd services of a deployment')
+  .action(action(() => {
+    const { destination, serviceDir } = getOpts();
+    return removeServices(destination, serviceDir);
+  }));
+
+program
+  .command('wait-ready <component>', { hidden: true })
+  .description('Wait for opensearch or dashboards of a deployment to become healthy')
+  .action(action(component => waitForDeploymentComponent(getOpts().destination, component)));
+
+program
+  .command('profile')
+  .description('Manage launch profiles')
+  .command('export [file]')
+  .description('Export the options given on the command-line and in --profile as a profile')
+  .option('--all', 'Export the resolved value of every option, defaults included, to pin the launch down')
+  .action(action((file, { all }) => {
+    getOpts();
+    return exportProfile(program, file && resolvePath(file), { all });
+  }));
+
+program
+  .command('versions')
+  .description('List the releases of OpenSearch and Dashboards available for this platform')
+  .option('--refresh', 'Fetch the list of releases again instead of using the cached one')
+  .action(action(({ refresh }) => {
+    const { artifactBaseUrl } = getOpts();
+    return printReleases({ artifactBaseUrl, refresh });
+  }));
+
+program
+  .command('logs')
+  .description('Print the output of the processes of a deployment')
+  .addOption(new Option('--component <component>', 'Only print the output of one component').choices(['opensearch', 'dashboards']))
+  .addOption(new Option('--level <level>', 'Only print lines of this level or above').choices(logLevels))
+  .option('-n, --lines <number>', 'Number of lines to print from the end of each log', nonNegativeInteger, 50)
+  .option('-f, --follow', 'Keep printing new lines until interrupted')
+  .addHelpText('after', `
+Logs of processes run in the foreground are rotated past 10MB. Instances started in the
+background write to their log directly, so theirs are only rotated when they are started.`)
+  .action(action(async ({ component, level, lines, follow }) => {
+    const { destination } = getOpts();
+    const logs = (await getDeploymentLogs(destination)).filter(({ source }) => !component || source === component);
+    if (logs.length === 0) throw `No logs${component ? ` of ${component}` : ''} were found in ${destination}`;
+
+    return printLogs(logs, { level, lines, follow });
+  }));
+
+const snapshot = program
+  .command('snapshot')
+  .description('Manage snapshots of the indices of a running deployment, shared by all deployments');
+
+snapshot
+  .command('create <name>')
+  .description('Snapshot all the indices of the deployment, including those of Dashboards')
+  .action(action(async name => createSnapshot(await loadDeploymentState(getOpts().destination), name)));
+
+snapshot
+  .command('list')
+  .description('List the snapshots')
+  .action(action(async () => printSnapshots(await loadDeploymentState(getOpts().destination))));
+
+snapshot
+  .command('restore <name>')
+  .description('Restore a snapshot into the deployment, replacing the indices it contains')
+  .action(action(async name => restoreSnapshot(await loadDeploymentState(getOpts().destination), name)));
+
+const cache = program
+  .command('cache')
+  .description('Manage the cache of downloads and clones');
+
+cache
+  .command('list')
+  .description('List the cached artifacts and clones')
+  .action(action(() => {
+    getOpts();
+    return printCache();
+  }));
+
+cache
+  .command('prune')
+  .description('Remove cached artifacts and clones meeting all the given criteria')
+  .option('--older-than <duration>', 'Remove entries last used before this long ago (e.g. 12h, 30d or 2w)', duration)
+  .option('--keep-latest <number>', 'Keep the latest versions of each kind of entry', nonNegativeInteger)
+  .action(action(criteria => {
+    getOpts();
+    return pruneCache(criteria);
+  }));
+
+cache
+  .command('clear')
+  .description('Remove everything from the cache, except the snapshots')
+  .action(action(() => {
+    getOpts();
+    return clearCache();
+  }));
+
+handleSignals();
+program.parse();
@@ -0,0 +1,3 @@
+// Programmatic entry point, e.g. for the global setup of test runners; the command-line lives in cli.js
+export { getDefaultOptions } from './lib/options.js';
+export { launch } from './lib/launch.js';
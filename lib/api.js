@@ -0,0 +1,115 @@
+import http from 'node:http';
+import https from 'node:https';
+
+/** Send a request to the API of OpenSearch or Dashboards
+ *
+ * Certificates are not verified, as they are issued by the launcher's own authority. Requests are never proxied, as
+ * they go to the launcher's own endpoints.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object.<string, string>} [options.headers]
+ * @param {string|Buffer} [options.body]
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {number} [options.timeout] Milliseconds to wait for a response
+ * @returns {Promise<{statusCode: number, text: string, json: any}>}
+ */
+export const sendRequest = (url, { method = 'GET', headers = {}, body, username, password, timeout } = {}) => {
+  const { protocol } = new URL(url);
+  const agent = protocol === 'https:' ? new https.Agent({ rejectUnauthorized: false }) : undefined;
+  const allHeaders = { ...headers };
+  if (username) allHeaders.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  if (body !== undefined) allHeaders['Content-Length'] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    const request = (protocol === 'https:' ? https : http).request(url, { method, headers: allHeaders, agent }, response => {
+      const content = [];
+      response.on('data', chunk => content.push(chunk));
+      response.on('end', () => {
+        const text = Buffer.concat(content).toString('utf8');
+        let json;
+        try {
+          json = JSON.parse(text);
+        } catch (ex) {
+        }
+
+        resolve({ statusCode: response.statusCode, text, json });
+      });
+    }).on('error', err => {
+      reject(err.message);
+    });
+
+    if (timeout) request.setTimeout(timeout, () => request.destroy(new Error(`No response within ${timeout / 1e3}s`)));
+    request.end(body);
+  });
+};
+
+/** Get the reason of a failed response
+ *
+ * @param {{statusCode: number, text: string, json: any}} response
+ * @returns {string}
+ */
+export const getErrorReason = ({ statusCode, text, json }) => {
+  const reason = json?.error?.reason ?? json?.message ?? json?.error ?? text;
+  return `${statusCode}: ${typeof reason === 'string' ? reason : JSON.stringify(reason)}`;
+};
+
+/** Get the JSON of a successful response, or throw the reason of a failed one
+ *
+ * @param {{statusCode: number, text: string, json: any}} response
+ * @returns {any}
+ */
+export const assertSuccess = response => {
+  if (response.statusCode < 200 || response.statusCode >= 300) throw getErrorReason(response);
+  return response.json;
+};
+
+/** Explain why a request failed to get a response
+ *
+ * @param {string} name Name of what was requested, e.g. OpenSearch
+ * @param {string} url
+ * @param {any} error
+ * @returns {string}
+ */
+export const describeRequestError = (name, url, error) => {
+  const message = `${error?.message ?? error}`;
+  const { protocol } = new URL(url);
+
+  if (/ECONNREFUSED/.test(message))
+    return `The connection to ${url} was refused; ${name} is not listening there yet`;
+  if (/EPROTO|SSL|TLS|certificate|wrong version number/i.test(message)) {
+    // OpenSSL reports its errors as a colon-separated trail with the reason after the routine
+    const detail = /routines:[^:]*:([^:]+)/.exec(message)?.[1] ?? message.trim();
+    return `The TLS handshake with ${url} failed (${detail}); ${name} may not be serving HTTPS`;
+  }
+  if (protocol === 'http:' && /ECONNRESET|socket hang up|Parse Error/i.test(message))
+    return `The connection to ${url} was closed (${message}); ${name} may be serving HTTPS`;
+  if (/ENOTFOUND|EHOSTUNREACH|ENETUNREACH|ETIMEDOUT/.test(message))
+    return `${url} could not be reached (${message})`;
+
+  return `The request to ${url} failed (${message})`;
+};
+
+const getAuth = opts => opts.security === true ? { username: opts.username, password: opts.password } : {};
+
+/** Get the URL and credentials to reach OpenSearch with, the same way as its health check
+ *
+ * @param {Object} opts Options or state of a deployment
+ * @returns {{url: string, username: (string|undefined), password: (string|undefined)}}
+ */
+export const getOpenSearchTarget = opts => ({
+  url: `http${opts.security === true ? 's' : ''}://${opts.opensearchHost}:${opts.opensearchPort}`,
+  ...getAuth(opts),
+});
+
+/** Get the URL and credentials to reach Dashboards with, the same way as its health check
+ *
+ * @param {Object} opts Options or state of a deployment
+ * @returns {{url: string, username: (string|undefined), password: (string|undefined)}}
+ */
+export const getDashboardsTarget = opts => ({
+  url: `http${opts.dashboardsTls ? 's' : ''}://${opts.dashboardsHost}:${opts.dashboardsPort}`,
+  ...getAuth(opts),
+});
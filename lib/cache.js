@@ -0,0 +1,185 @@
+import path from 'node:path';
+import { lstat, readdir, rm, utimes } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpDir } from './config.js';
+import { compareVersions, formatBytes } from './utils.js';
+import { _info, _ok, _verbose, _verbose2, _warning } from './logging.js';
+
+// Downloads made without verifying their checksums are prefixed, so they keep their extension but are never reused
+const archivePattern = /^(unverified-)?(opensearch(?:-min)?|dashboards)-(\d+\.\d+\.\d+)(?:-([a-z]+)-([a-z0-9]+))?\.(tar\.gz|zip)(\.temp)?$/i;
+const clonePattern = /^(dashboards|opensearch(?:-plugin)?)-(.+)$/i;
+const nodePattern = /^node-v(\d+\.\d+\.\d+)-([a-z]+)-([a-z0-9]+)$/i;
+
+const getSize = async file => {
+  const stats = await lstat(file);
+  if (!stats.isDirectory()) return stats.size;
+
+  let size = 0;
+  for (const name of await readdir(file)) size += await getSize(path.join(file, name));
+  return size;
+};
+
+const formatAge = date => {
+  const hours = (Date.now() - date.getTime()) / 36e5;
+  if (hours < 1) return 'just now';
+  if (hours < 48) return `${Math.floor(hours)}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+/** Mark a cache entry as used
+ *
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+export const touchCacheEntry = async file => {
+  const now = new Date();
+  await utimes(file, now, now);
+};
+
+/** List the entries in the cache
+ *
+ * @returns {Promise<{name: string, file: string, kind: string, product: (string|undefined), version:
+ *   (string|undefined), platform: (string|undefined), arch: (string|undefined), size: number, lastUsed: Date}[]>}
+ */
+export const listCache = async () => {
+  if (!existsSync(tmpDir)) return [];
+
+  const entries = [];
+  for (const name of await readdir(tmpDir)) {
+    const file = path.join(tmpDir, name);
+    const stats = await lstat(file);
+    const entry = { name, file, kind: 'other', size: await getSize(file), lastUsed: stats.mtime };
+
+    const archive = archivePattern.exec(name);
+    const clone = stats.isDirectory() && clonePattern.exec(name);
+    const node = stats.isDirectory() && nodePattern.exec(name);
+    if (archive) {
+      const [, unverified, product, version, platform, arch, , partial] = archive;
+      Object.assign(entry, { kind: partial || unverified ? 'partial' : 'archive', product, version, platform, arch });
+    } else if (clone) {
+      Object.assign(entry, { kind: 'clone', product: clone[1], version: clone[2] });
+    } else if (node) {
+      Object.assign(entry, { kind: 'node', product: 'node', version: node[1], platform: node[2], arch: node[3] });
+    } else if (stats.isDirectory() && name === 'corepack') {
+      entry.kind = 'corepack';
+    } else if (stats.isDirectory() && name === 'ca') {
+      entry.kind = 'ca';
+    } else if (stats.isDirectory() && name === 'snapshots') {
+      entry.kind = 'snapshots';
+    } else if (stats.isFile() && name === 'releases.json') {
+      entry.kind = 'releases';
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+};
+
+/** Print the entries in the cache
+ *
+ * @returns {Promise<void>}
+ */
+export const printCache = async () => {
+  const entries = await listCache();
+  if (entries.length === 0) {
+    _verbose2(`The cache in ${tmpDir} is empty.`);
+    return;
+  }
+
+  _info(`Cache in ${tmpDir}:`);
+  _verbose2(
+    'KIND'.padEnd(10) + 'PRODUCT'.padEnd(12) + 'VERSION'.padEnd(28) + 'PLATFORM'.padEnd(16) +
+    'SIZE'.padStart(10) + '  LAST USED',
+  );
+
+  let total = 0;
+  for (const { name, kind, product, version, platform, arch, size, lastUsed } of entries) {
+    total += size;
+    const platformArch = platform ? `${platform}/${arch}` : (['archive', 'partial'].includes(kind) ? 'unknown' : '');
+    _verbose2(
+      kind.padEnd(10) + (product ?? '').padEnd(12) + (version ?? name).padEnd(28) + platformArch.padEnd(16) +
+      formatBytes(size).padStart(10) + `  ${formatAge(lastUsed)}`,
+    );
+  }
+
+  _verbose2(`Total: ${formatBytes(total)}`);
+};
+
+const removeEntries = async entries => {
+  let freed = 0;
+  for (const { file, size } of entries) {
+    _verbose(`Removing ${file}`);
+    await rm(file, { force: true, recursive: true });
+    freed += size;
+  }
+
+  _ok(`Removed ${entries.length} cache entries, freeing ${formatBytes(freed)}.`);
+};
+
+/** Remove old entries from the cache
+ *
+ * An entry is removed when it meets every given criterion. The certificate authority, snapshots, the list of
+ * releases and entries the launcher does not recognize are left alone.
+ *
+ * @param {Object} criteria
+ * @param {number} [criteria.olderThan] Milliseconds since an entry was last used
+ * @param {number} [criteria.keepLatest] Number of the latest versions of each kind of entry to keep
+ * @returns {Promise<void>}
+ */
+export const pruneCache = async ({ olderThan, keepLatest }) => {
+  if (olderThan === undefined && keepLatest === undefined)
+    throw `Specify --older-than and/or --keep-latest to prune the cache`;
+
+  // The certificate authority is trusted by users, so it only goes away with the rest of the cache, snapshots hold
+  // their data, and the list of releases is what resolves version aliases offline
+  const entries = (await listCache()).filter(({ kind }) => !['other', 'ca', 'snapshots', 'releases'].includes(kind));
+
+  const groups = {};
+  for (const entry of entries) {
+    const key = [entry.kind, entry.product, entry.platform, entry.arch].join(':');
+    (groups[key] ??= []).push(entry);
+  }
+
+  const kept = new Set();
+  if (keepLatest !== undefined) {
+    for (const group of Object.values(groups)) {
+      group
+        .sort((a, b) => a.kind === 'clone'
+          ? b.lastUsed - a.lastUsed
+          : compareVersions(b.version, a.version))
+        .slice(0, keepLatest)
+        .forEach(entry => kept.add(entry));
+    }
+  }
+
+  const removable = entries.filter(entry => !kept.has(entry) &&
+    (olderThan === undefined || Date.now() - entry.lastUsed.getTime() > olderThan));
+
+  if (removable.length === 0) {
+    _verbose2(`Nothing to prune in ${tmpDir}.`);
+    return;
+  }
+
+  await removeEntries(removable);
+};
+
+/** Remove everything from the cache, except the snapshots
+ *
+ * @returns {Promise<void>}
+ */
+export const clearCache = async () => {
+  const listed = await listCache();
+  // Snapshots hold the data of users rather than anything that can be downloaded again
+  const snapshots = listed.find(({ kind }) => kind === 'snapshots');
+  const entries = listed.filter(entry => entry !== snapshots);
+  if (snapshots) _warning(`Kept the snapshots in ${snapshots.file}; remove the folder to delete them.`);
+
+  if (entries.length === 0) {
+    _verbose2(`The cache in ${tmpDir} is already empty.`);
+    return;
+  }
+
+  if (entries.some(({ kind }) => kind === 'other')) _warning(`Removing unrecognized entries from ${tmpDir} too.`);
+  await removeEntries(entries);
+};
@@ -0,0 +1,161 @@
+import path from 'node:path';
+import os from 'node:os';
+import { isIP } from 'node:net';
+import { chmod, copyFile, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { randomBytes, X509Certificate } from 'node:crypto';
+import { tmpDir } from './config.js';
+import { _exec } from './utils.js';
+import { _notice, _verbose } from './logging.js';
+
+const subjectPrefix = '/C=US/ST=WASHINGTON/L=SEATTLE/O=ORG/OU=UNIT';
+const caSubject = `${subjectPrefix}/CN=OSD Launcher Root CA`;
+export const adminCertSubject = `${subjectPrefix}/CN=A`;
+export const nodeCertSubject = `${subjectPrefix}/CN=N`;
+export const dashboardsCertSubject = `${subjectPrefix}/CN=D`;
+
+const quote = file => `"${file.replace(/(["\\$`])/g, '\\$1')}"`;
+
+/** Convert the subject of an OpenSSL command into the distinguished name used in opensearch.yml
+ *
+ * @param {string} subject
+ * @returns {string}
+ */
+export const toDistinguishedName = subject => subject
+  .replace(/\//g, ',')
+  .replace(/^,+/, '');
+
+/** Get the distinguished name of the subject of a certificate
+ *
+ * @param {string} certFile
+ * @returns {Promise<string>}
+ */
+export const getCertificateSubject = async certFile => {
+  const cert = new X509Certificate(await readFile(certFile));
+  return cert.subject.split('\n').join(',');
+};
+
+/** Get the paths of the launcher's certificate authority
+ *
+ * @returns {{cert: string, key: string}}
+ */
+export const getLauncherCA = () => {
+  const dir = path.join(tmpDir, 'ca');
+  return { cert: path.join(dir, 'root-ca.pem'), key: path.join(dir, 'root-ca-key.pem') };
+};
+
+const expiresWithin = async (certFile, days) => {
+  const cert = new X509Certificate(await readFile(certFile));
+  return new Date(cert.validTo).getTime() < Date.now() + days * 864e5;
+};
+
+/** Get the launcher's certificate authority, creating it when missing or about to expire
+ *
+ * The authority is kept in the cache so that it only needs to be trusted once.
+ *
+ * @param {Object} options
+ * @param {number} options.caValidity Days a new authority is valid for
+ * @param {number} options.certValidity Days the certificates it issues need to be valid for
+ * @returns {Promise<{cert: string, key: string}>}
+ */
+export const ensureLauncherCA = async ({ caValidity, certValidity }) => {
+  const ca = getLauncherCA();
+  if (existsSync(ca.cert) && existsSync(ca.key)) {
+    if (!await expiresWithin(ca.cert, certValidity)) return ca;
+    _notice(`The launcher's certificate authority expires within ${certValidity} days; creating a new one`);
+  }
+
+  const dir = path.dirname(ca.cert);
+  await rm(dir, { force: true, recursive: true });
+  await mkdir(dir, { recursive: true, mode: 0o700 });
+
+  _verbose(`Creating a certificate authority in ${dir}`);
+  await _exec(
+    `openssl req -x509 -newkey rsa:2048 -nodes -sha256 -keyout ${quote(ca.key)} -out ${quote(ca.cert)} ` +
+    `-days ${caValidity} -subj "${caSubject}"`,
+  );
+  await chmod(ca.key, 0o600);
+
+  return ca;
+};
+
+/** Get the certificate authority to issue certificates with
+ *
+ * @param {{caCert: (string|undefined), caKey: (string|undefined), caValidity: number, certValidity: number}} opts
+ * @returns {Promise<{cert: string, key: (string|undefined)}>} The key is missing if a certificate authority was
+ *   provided without one
+ */
+export const getCertificateAuthority = opts => opts.caCert
+  ? Promise.resolve({ cert: opts.caCert, key: opts.caKey })
+  : ensureLauncherCA({ caValidity: opts.caValidity, certValidity: opts.certValidity });
+
+/** Get the subject alternative names of a server certificate
+ *
+ * @param {string} host Host the server listens on
+ * @param {string[]} [extra] Additional names or IP addresses, optionally prefixed with DNS: or IP:
+ * @returns {string[]}
+ */
+export const getSubjectAltNames = (host, extra = []) => {
+  const names = ['localhost', '127.0.0.1', '::1', os.hostname()];
+  // Listening on all interfaces, OpenSearch can be reached on any of their addresses
+  if (host === '0.0.0.0' || host === '::') {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      names.push(...addresses.filter(({ internal }) => !internal).map(({ address }) => address));
+    }
+  } else {
+    names.push(host);
+  }
+  names.push(...extra);
+
+  const entries = names.map(name => {
+    if (/^(DNS|IP):/i.test(name)) return name.replace(/^(DNS|IP):/i, prefix => prefix.toUpperCase());
+    return isIP(name) ? `IP:${name}` : `DNS:${name}`;
+  });
+
+  return [...new Set(entries)];
+};
+
+/** Issue a certificate signed by a certificate authority
+ *
+ * @param {Object} options
+ * @param {{cert: string, key: string}} options.ca
+ * @param {string} options.subject
+ * @param {string} options.cert File to write the certificate to
+ * @param {string} options.key File to write the private key to, in PKCS#8
+ * @param {number} options.days
+ * @param {string[]} [options.altNames]
+ * @returns {Promise<void>}
+ */
+export const issueCertificate = async ({ ca, subject, cert, key, days, altNames = [] }) => {
+  const csr = `${cert}.csr`;
+  const extFile = `${cert}.ext`;
+  const extensions = [
+    'basicConstraints = CA:FALSE',
+    'keyUsage = critical, digitalSignature, keyEncipherment',
+    'extendedKeyUsage = serverAuth, clientAuth',
+    ...(altNames.length ? [`subjectAltName = ${altNames.join(', ')}`] : []),
+  ];
+
+  await writeFile(extFile, extensions.join('\n') + '\n', 'utf8');
+  try {
+    await _exec(`openssl req -new -newkey rsa:2048 -nodes -keyout ${quote(key)} -subj "${subject}" -out ${quote(csr)}`);
+    await _exec(
+      `openssl x509 -req -in ${quote(csr)} -CA ${quote(ca.cert)} -CAkey ${quote(ca.key)} ` +
+      `-set_serial 0x${randomBytes(16).toString('hex')} -sha256 -days ${days} -extfile ${quote(extFile)} ` +
+      `-out ${quote(cert)}`,
+    );
+  } finally {
+    await Promise.all([rm(csr, { force: true }), rm(extFile, { force: true })]);
+  }
+};
+
+/** Copy a certificate or key provided by the user
+ *
+ * @param {string} source
+ * @param {string} dest
+ * @returns {Promise<void>}
+ */
+export const copyCertificateFile = async (source, dest) => {
+  if (!existsSync(source)) throw `Failed to find ${source}`;
+  await copyFile(source, dest);
+};
@@ -9,7 +9,7 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const configRoot = join(__dirname, '../config');
 const configStore = {};
 
-export const tmpDir = path.join(os.homedir(), '.osd-launcher');
+export let tmpDir = path.join(os.homedir(), '.osd-launcher');
 export const PLATFORM = process.platform === 'win32' ? 'windows' : process.platform;
 export const ARCH = process.arch === 'arm64' ? 'arm64' : 'x64';
 export const EXTENSION = process.platform === 'win32' ? 'zip' : 'tar.gz';
@@ -41,7 +41,7 @@ const deepMerge = (target, source) => {
   return target;
 };
 
-const deepExpand = obj => {
+export const deepExpand = obj => {
   const propNames = Object.getOwnPropertyNames(obj);
   for (const name of propNames) {
     const keys = name?.split?.('.')?.filter?.(el => el);
@@ -76,6 +76,87 @@ const getConfig = prop => {
   return config;
 };
 
+/** Read and parse a JSON or JSON5 file
+ *
+ * @param {string} file
+ * @returns {any}
+ */
+export const readConfigFile = file => {
+  const content = fs.readFileSync(file, 'utf-8')?.replace?.(/^\uFEFF/, '');
+  return parse(content);
+};
+
+/** Relocate the cache of downloads and clones
+ *
+ * @param {string} dir
+ */
+export const setCacheDir = dir => {
+  tmpDir = dir;
+};
+
+const renderTemplate = (template, values) => {
+  const allValues = { platform: PLATFORM, arch: ARCH, extension: EXTENSION, type: TYPE, ...values };
+  return template.replace(/\{(\w+)\}/g, (match, key) => allValues[key] ?? match);
+};
+
+/** Get the download URL of a release artifact
+ *
+ * @param {string} product One of opensearch, opensearch-min or dashboards
+ * @param {string} version
+ * @param {string} [baseUrl] Replaces the base URL of the configured artifact hosts, e.g. to use a mirror
+ * @returns {string}
+ */
+export const getArtifactURL = (product, version, baseUrl) => {
+  const rule = getConfig(['artifacts', product])
+    ?.find?.(({ versions }) => !versions || new RegExp(versions).test(version));
+  if (!rule) throw `No artifact URL is configured for ${product} v${version}`;
+
+  return renderTemplate(rule.template, { baseUrl: (baseUrl || rule.baseUrl).replace(/\/+$/, ''), version });
+};
+
+/** Get the URL of a released artifact on the official release host
+ *
+ * Unlike the hosts of getArtifactURL, which also carry builds of unreleased versions, only released versions exist
+ * there.
+ *
+ * @param {string} product One of opensearch, opensearch-min or dashboards
+ * @param {string} version
+ * @returns {string}
+ */
+export const getReleaseURL = (product, version) => {
+  const template = getConfig(['releases', 'artifacts', product]);
+  if (!template) throw `No release URL is configured for ${product}`;
+
+  return renderTemplate(template, { version });
+};
+
+// The folder of a template that holds a folder per version
+const getListingTemplate = template => template.slice(0, template.indexOf('{version}'));
+
+/** Get the folders of the configured artifact hosts that hold a folder per version of a product
+ *
+ * @param {string} product One of opensearch, opensearch-min or dashboards
+ * @param {string} [baseUrl] Replaces the base URL of the configured artifact hosts, e.g. to use a mirror
+ * @returns {{url: string, versions: (string|undefined)}[]} Folders with the pattern of the versions kept in them
+ */
+export const getArtifactListingURLs = (product, baseUrl) => (getConfig(['artifacts', product]) ?? [])
+  .map(rule => ({
+    url: renderTemplate(getListingTemplate(rule.template), { baseUrl: (baseUrl || rule.baseUrl).replace(/\/+$/, '') }),
+    versions: rule.versions,
+  }));
+
+/** Get the folder of the official release host that holds a folder per released version of a product
+ *
+ * @param {string} product One of opensearch, opensearch-min or dashboards
+ * @returns {string}
+ */
+export const getReleaseListingURL = product => {
+  const template = getConfig(['releases', 'artifacts', product]);
+  if (!template) throw `No release URL is configured for ${product}`;
+
+  return renderTemplate(getListingTemplate(template), {});
+};
+
 const processDir = dir => {
   const config = {};
   const names = fs.readdirSync(dir);
@@ -87,8 +168,7 @@ const processDir = dir => {
       config[baseName] = processDir(resolvedPath);
     } else if (/\.json5?$/i.test(names[i])) {
       try {
-        const content = fs.readFileSync(resolvedPath, 'utf-8')?.replace?.(/^\uFEFF/, '');
-        config[baseName] = parse(content);
+        config[baseName] = readConfigFile(resolvedPath);
       } catch (ex) {
         console.error(ex);
       }
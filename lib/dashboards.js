@@ -4,7 +4,6 @@ import { spawn } from 'node:child_process';
 import { existsSync } from 'node:fs';
 import { setTimeout } from 'node:timers/promises';
 import {
-  _appendToFile,
   _changeInFile,
   _deleteFromFile,
   _download,
@@ -12,12 +11,29 @@ import {
   _spawn,
   _unarchive,
   camelCase,
+  getArchivePath,
+  getArchiveVersion,
+  getDataPaths,
+  isArchive,
   isGitHubSource,
+  isRelease,
   isVersion,
 } from './utils.js';
-import { recordProcess } from './subprocess.js';
+import { recordProcess, stopSubprocess } from './subprocess.js';
+import { captureOutput } from './logs.js';
 import { _error, _info, _notice, _ok, _verbose, _verbose2, _warning } from './logging.js';
-import { ARCH, EXTENSION, get, PLATFORM, tmpDir, TYPE } from './config.js';
+import { ARCH, EXTENSION, get, getArtifactURL, PLATFORM, tmpDir } from './config.js';
+import { touchCacheEntry } from './cache.js';
+import { getToolchainEnv, prepareNodeToolchain } from './toolchain.js';
+import { mergeYamlSettings } from './yaml.js';
+import { describeRequestError, getDashboardsTarget, getErrorReason, sendRequest } from './api.js';
+import {
+  copyCertificateFile,
+  dashboardsCertSubject,
+  getCertificateAuthority,
+  getSubjectAltNames,
+  issueCertificate,
+} from './certs.js';
 
 const projects = get('projects');
 const projectSlugs = {};
@@ -33,20 +49,25 @@ for (const { slug, name, src, releaseName } of projects) {
  *
  * @param {string} version
  * @param {boolean} refreshDownloads
+ * @param {string} [artifactBaseUrl]
+ * @param {boolean} [skipChecksum] Download without verifying, to a file prefixed with unverified- that is not reused
  * @returns {Promise<string>}
  */
-export const downloadDashboards = async (version, refreshDownloads) => {
-  const dest = path.join(tmpDir, `dashboards-${version}.${EXTENSION}`);
+export const downloadDashboards = async (version, refreshDownloads, artifactBaseUrl, skipChecksum) => {
+  const dest = path.join(tmpDir, `dashboards-${version}-${PLATFORM}-${ARCH}.${EXTENSION}`);
   if (!refreshDownloads && existsSync(dest)) {
     _verbose2(`Using a previously downloaded ${basename(dest)}`);
+    await touchCacheEntry(dest);
     return dest;
   }
 
-  const url = /^1\.[0-2]\./.test(version)
-    ? `https://artifacts.opensearch.org/releases/bundle/opensearch-dashboards/${version}/opensearch-dashboards-${version}-${PLATFORM}-${ARCH}.${EXTENSION}`
-    : `https://ci.opensearch.org/ci/dbc/distribution-build-opensearch-dashboards/${version}/latest/${PLATFORM}/${ARCH}/${TYPE}/dist/opensearch-dashboards/opensearch-dashboards-${version}-${PLATFORM}-${ARCH}.${EXTENSION}`;
+  const url = getArtifactURL('dashboards', version, artifactBaseUrl);
+  if (skipChecksum) {
+    _warning(`Skipped verifying the checksum of ${basename(dest)}`);
+    return _download(url, path.join(tmpDir, `unverified-${basename(dest)}`));
+  }
 
-  return _download(url, dest);
+  return _download(url, dest, { checksumURL: `${url}.sha512` });
 };
 
 const getSource = (slug, requestedSource, osdBranch) => {
@@ -68,6 +89,13 @@ const getSource = (slug, requestedSource, osdBranch) => {
   throw `Failed to find a source for ${projectSlugs[slug].name} using ${requestedSource} or ${osdBranch}.`;
 };
 
+/** Get the GitHub user, repository and branch of a source of Dashboards
+ *
+ * @param {string} source e.g. github:user/repo/branch or github://branch
+ * @returns {{user: string, repo: string, branch: string}}
+ */
+export const getDashboardsSource = source => getSource('dashboards', source);
+
 const getOfficialSource = (slug, requestedBranch) => {
   if (!projectSlugs[slug]) throw `Unknown key: ${slug}`;
   const [user, repo, branch] =
@@ -138,11 +166,12 @@ export const clonePlugins = async (dest, opts) => {
  * @param {string} name
  * @param {string} pluginsDir
  * @param {string} pluginBuildDestDir
+ * @param {Object.<string, string>} [env] Environment to build in, e.g. one selecting a toolchain
  */
-export const buildPlugin = async (name, pluginsDir, pluginBuildDestDir) => {
+export const buildPlugin = async (name, pluginsDir, pluginBuildDestDir, env) => {
   const pluginFolder = path.join(pluginsDir, name);
   _info(`Building plugin in ${pluginFolder}`);
-  await _exec(`node ../../scripts/plugin_helpers.js build --skip-archive`, { cwd: pluginFolder });
+  await _exec(`node ../../scripts/plugin_helpers.js build --skip-archive`, { cwd: pluginFolder, env });
   const pluginBuildDir = path.join(pluginsDir, name, 'build/opensearch-dashboards');
   const pluginBuiltContent = await readdir(pluginBuildDir, { withFileTypes: true, encoding: 'utf8' });
   for (const pluginBuiltItem of pluginBuiltContent) {
@@ -156,6 +185,9 @@ export const buildPlugin = async (name, pluginsDir, pluginBuildDestDir) => {
 };
 
 /** Build Dashboards and plugins
+ *
+ * The build runs under the versions of Node.js and Yarn the checkout asks for, which are kept in
+ * opts.dashboardsToolchain for running Dashboards from source later.
  *
  * @param {string} folder
  * @param {Object} opts
@@ -166,9 +198,12 @@ export const buildDashboards = async (folder, opts) => {
 
   const buildVersion = JSON.parse(await readFile(path.join(folder, 'package.json'), 'utf8')).version;
 
+  opts.dashboardsToolchain = await prepareNodeToolchain(folder);
+  const env = { ...process.env, ...getToolchainEnv(opts.dashboardsToolchain) };
+
   _verbose(`Bootstrapping Dashboards without plugins in ${folder}`);
   await _spawn('yarn osd bootstrap --single-version=loose --skip-opensearch-dashboards-plugins', {
-    cwd: folder, maxBuffer: 100 * 1024 * 1024,
+    cwd: folder, env, maxBuffer: 100 * 1024 * 1024,
   });
 
   const pluginsDir = path.join(folder, 'plugins');
@@ -179,19 +214,21 @@ export const buildDashboards = async (folder, opts) => {
     if (item.isDirectory()) {
       await _exec(
         `node ../../scripts/plugin_helpers.js version --sync legacy`,
-        { cwd: path.join(pluginsDir, item.name) },
+        { cwd: path.join(pluginsDir, item.name), env },
       );
     }
   }
 
   _verbose(`Bootstrapping Dashboards...`);
-  await _spawn('yarn osd bootstrap --single-version=loose', { cwd: folder, maxBuffer: 100 * 1024 * 1024 });
+  await _spawn('yarn osd bootstrap --single-version=loose', { cwd: folder, env, maxBuffer: 100 * 1024 * 1024 });
 
   if (opts.build !== true) return folder;
 
   _info(`Building release artifacts for Dashboards...`);
   const buildType = '--' + PLATFORM + (process.platform !== 'win32' && process.arch === 'arm64' ? '-arm' : '');
-  await _spawn(`yarn build-platform ${buildType} --release --skip-archives --skip-os-packages`, { cwd: folder });
+  await _spawn(`yarn build-platform ${buildType} --release --skip-archives --skip-os-packages`, {
+    cwd: folder, env,
+  });
 
   const buildDir = path.join(folder, 'build', `opensearch-dashboards-${buildVersion}-${PLATFORM}-${process.arch}`);
   const pluginBuildDestDir = path.join(buildDir, 'plugins');
@@ -199,7 +236,7 @@ export const buildDashboards = async (folder, opts) => {
   const pluginBuilds = [];
   for (const item of pluginContent) {
     if (item.isDirectory()) {
-      pluginBuilds.push(buildPlugin(item.name, pluginsDir, pluginBuildDestDir));
+      pluginBuilds.push(buildPlugin(item.name, pluginsDir, pluginBuildDestDir, env));
 
     }
   }
@@ -253,7 +290,7 @@ export const patchTestCodeOverage = async (folder) => {
 export const patchDashboardsIgnoreVersionMismatch = async (folder, opts) => {
   await _deleteFromFile(
     path.join(folder,
-      `src/core/server/opensearch/opensearch_config.${(isVersion(opts.dashboardsVersion) || opts.build === true)
+      `src/core/server/opensearch/opensearch_config.${(isRelease(opts.dashboardsVersion) || opts.build === true)
         ? 'js'
         : 'ts'}`,
     ),
@@ -275,6 +312,40 @@ export const patchDashboardsBinary = async (folder, opts) => {
   );
 };
 
+/** Configure a server certificate for Dashboards, issued by the certificate authority of OpenSearch
+ *
+ * @param {string} folder
+ * @param {Object} opts
+ * @returns {Promise<{rooCACert: string, cert: string, key: string}>}
+ */
+export const configureDashboardsCerts = async (folder, opts) => {
+  const dest = path.join(folder, 'config/certs');
+
+  await rm(dest, { force: true, recursive: true });
+  await mkdir(dest, { recursive: true });
+
+  const ca = await getCertificateAuthority(opts);
+  if (!ca.key) throw `Dashboards needs the key of the certificate authority to issue its certificate; use --ca-key`;
+
+  const certs = {
+    rooCACert: path.join(dest, 'root-ca.pem'),
+    cert: path.join(dest, 'dashboards.pem'),
+    key: path.join(dest, 'dashboards-key.pem'),
+  };
+
+  await copyCertificateFile(ca.cert, certs.rooCACert);
+  await issueCertificate({
+    ca,
+    subject: dashboardsCertSubject,
+    cert: certs.cert,
+    key: certs.key,
+    days: opts.certValidity,
+    altNames: getSubjectAltNames(opts.dashboardsHost, opts.certSan),
+  });
+
+  return certs;
+};
+
 /** Configure Dashboards
  *
  * @param {string} folder
@@ -284,75 +355,128 @@ export const patchDashboardsBinary = async (folder, opts) => {
 export const configureDashboards = async (folder, opts) => {
   const configFile = path.join(folder, 'config/opensearch_dashboards.yml');
 
-  const linesToDelete = [
-    'server.host',
-    'server.port',
-    'opensearch.ssl.verificationMode',
-    'opensearch.ignoreVersionMismatch',
-    'savedObjects.maxImportPayloadBytes',
-    'server.maxPayloadBytes',
-    'logging.json',
-    'data.search.aggs.shardDelay.enabled',
-    'csp.warnLegacyBrowsers',
-    'opensearch.hosts',
-    'opensearch.username',
-    'opensearch.password',
-  ];
-  if (opts.security !== true) linesToDelete.push('opensearch_security.');
-
-  await _deleteFromFile(configFile, linesToDelete);
-
-  const configParams = [
-    `server.host: ${opts.dashboardsHost}`,
-    `server.port: ${opts.dashboardsPort}`,
-    'opensearch.ssl.verificationMode: none',
-    'opensearch.ignoreVersionMismatch: true',
-    'savedObjects.maxImportPayloadBytes: 10485760',
-    'server.maxPayloadBytes: 1759977',
-    'logging.json: false',
-    'data.search.aggs.shardDelay.enabled: true',
-    'csp.warnLegacyBrowsers: false',
-  ];
+  const settings = {
+    'server.host': opts.dashboardsHost,
+    'server.port': Number(opts.dashboardsPort),
+    'opensearch.ssl.verificationMode': 'none',
+    'opensearch.ignoreVersionMismatch': true,
+    'savedObjects.maxImportPayloadBytes': 10485760,
+    'server.maxPayloadBytes': 1759977,
+    'logging.json': false,
+    'data.search.aggs.shardDelay.enabled': true,
+    'csp.warnLegacyBrowsers': false,
+    'path.data': null,
+  };
+
+  if (opts.dataDir) {
+    settings['path.data'] = getDataPaths(opts.dataDir).dashboards.data;
+    await mkdir(settings['path.data'], { recursive: true });
+  }
+
+  const certs = opts.dashboardsTls && await configureDashboardsCerts(folder, opts);
+  if (certs) {
+    Object.assign(settings, {
+      'server.ssl.enabled': true,
+      'server.ssl.certificate': certs.cert,
+      'server.ssl.key': certs.key,
+    });
+  } else {
+    settings['server.ssl'] = null;
+  }
 
   if (opts.security === true) {
-    configParams.push(
-      `opensearch.hosts: ["https://${opts.opensearchHost}:${opts.opensearchPort}"]`,
-      `opensearch.username: "${opts.username}"`,
-      `opensearch.password: "${opts.password}"`,
-    );
+    Object.assign(settings, {
+      'opensearch.hosts': [`https://${opts.opensearchHost}:${opts.opensearchPort}`],
+      'opensearch.username': opts.username,
+      'opensearch.password': opts.password,
+      'opensearch_security.cookie.secure': !!certs,
+    });
+
+    // An OpenSearch launched alongside has its certificate issued by the same authority
+    if (certs && opts.opensearchVersion) {
+      Object.assign(settings, {
+        // A provided node certificate may not cover the host of OpenSearch
+        'opensearch.ssl.verificationMode': opts.nodeCert ? 'certificate' : 'full',
+        'opensearch.ssl.certificateAuthorities': [certs.rooCACert],
+      });
+    } else {
+      settings['opensearch.ssl.certificateAuthorities'] = null;
+    }
   } else {
-    configParams.push(`opensearch.hosts: ["http://${opts.opensearchHost}:${opts.opensearchPort}"]`);
+    Object.assign(settings, {
+      'opensearch.hosts': [`http://${opts.opensearchHost}:${opts.opensearchPort}`],
+      'opensearch.username': null,
+      'opensearch.password': null,
+      opensearch_security: null,
+    });
     await rm(path.join(folder, 'plugins/securityDashboards'), { force: true, recursive: true });
   }
 
-  await _appendToFile(configFile, configParams);
+  // Settings given by the user win over the launcher's own
+  await mergeYamlSettings(configFile, [settings, ...(opts.dashboardsSetting ?? [])]);
+};
+
+const getPluginStatus = (statuses, name) => {
+  const id = new RegExp(`^plugin:${name.replace(/[^a-z0-9]/gi, '\\$&')}@`, 'i');
+  return statuses.find(status => id.test(status.id));
 };
 
 /** Check Dashboards health
  *
- * @returns {Promise<boolean|undefined>}
+ * @param {Object} opts
+ * @param {string[]} [opts.waitForPlugin] Plugins that need to report available too
+ * @returns {Promise<{ready: boolean, reason: (string|undefined)}>} The reason explains why it is not ready
  */
 export const checkDashboardsHealth = async (opts) => {
-  try {
-    const fetchParams = opts.security === true ? {
-      headers: {
-        Authorization: `Basic ${Buffer.from(`${opts.username}:${opts.password}`).toString('base64')}`,
-      },
-    } : {};
-    const response = await fetch(`http://${opts.dashboardsHost}:${opts.dashboardsPort}/api/status`, fetchParams);
-    const contentType = response?.headers?.get?.('content-type');
-    if (!contentType.includes('application/json')) return;
-
-    const json = await response.json();
-    if (json?.status?.overall?.state === 'green') {
-      _ok(`\n\nDashboards is ${json?.status?.overall?.state}\n`);
-    } else {
-      _error(`\n\nDashboards is ${json?.status?.overall?.state}\n`);
-    }
+  const target = getDashboardsTarget(opts);
 
-    return json?.status?.overall?.state === 'green';
+  let response;
+  try {
+    response = await sendRequest(`${target.url}/api/status`, { ...target, timeout: 10e3 });
   } catch (ex) {
+    return { ready: false, reason: describeRequestError('Dashboards', target.url, ex) };
   }
+
+  if (response.statusCode === 401)
+    return { ready: false, reason: `Dashboards rejected the credentials of ${opts.username} (401)` };
+
+  const { overall, statuses = [] } = response.json?.status ?? {};
+  if (!overall?.state) return { ready: false, reason: `Dashboards is not ready (${getErrorReason(response)})` };
+
+  if (overall.state !== 'green') {
+    const problems = statuses
+      .filter(({ state }) => state !== 'green')
+      .map(({ id, message }) => `${id}: ${message}`);
+    return { ready: false, reason: [`Dashboards is ${overall.state}`, ...problems.slice(0, 3)].join('; ') };
+  }
+
+  const pending = [];
+  for (const name of opts.waitForPlugin ?? []) {
+    const plugin = getPluginStatus(statuses, name);
+    if (!plugin) pending.push(`${name} is not installed`);
+    else if (plugin.state !== 'green') pending.push(`${name} is ${plugin.state}: ${plugin.message}`);
+  }
+  if (pending.length) return { ready: false, reason: `Dashboards is green, but ${pending.join('; ')}` };
+
+  _ok(`\n\nDashboards is ${overall.state}\n`);
+  return { ready: true };
+};
+
+/** Get the command that runs Dashboards
+ *
+ * Dashboards run from source needs the toolchain it was built with; a build bundles its own Node.js.
+ *
+ * @param {string} folder
+ * @param {Object} opts
+ * @returns {{command: string, args: string[], env: (Object.<string, string>|undefined)}}
+ */
+export const getDashboardsCommand = (folder, opts) => {
+  if (isRelease(opts.dashboardsVersion) || opts.build === true) {
+    const executable = process.platform === 'win32' ? 'opensearch-dashboards.bat' : 'opensearch-dashboards';
+    return { command: path.join(folder, 'bin', executable), args: [] };
+  }
+
+  return { command: 'yarn', args: ['start', '--no-base-path'], env: getToolchainEnv(opts.dashboardsToolchain) };
 };
 
 /** Run Dashboards
@@ -360,23 +484,15 @@ export const checkDashboardsHealth = async (opts) => {
  * @param {string} folder
  * @param {number} timeoutSeconds
  * @param {Object} opts
+ * @param {string} logFile File to capture the output in
  * @returns {Promise<ChildProcess|undefined>}
  */
-export const runDashboards = async (folder, timeoutSeconds, opts) => {
+export const runDashboards = async (folder, timeoutSeconds, opts, logFile) => {
   let closed = false;
   let running = false;
-  const spawnArgs = [];
-  let spawnCmd;
-  if (isVersion(opts.dashboardsVersion) || opts.build === true) {
-    const executable = process.platform === 'win32' ? 'opensearch-dashboards.bat' : 'opensearch-dashboards';
-    spawnCmd = path.join(folder, 'bin', executable);
-  } else {
-    spawnCmd = 'yarn';
-    spawnArgs.push('start', '--no-base-path');
-  }
-
-  const child = spawn(spawnCmd, spawnArgs, {
-    cwd: folder, stdio: ['ignore', 'pipe', 'pipe'],
+  const { command, args, env } = getDashboardsCommand(folder, opts);
+  const child = spawn(command, args, {
+    cwd: folder, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'],
     detached: true,
   })
     .on('close', code => {
@@ -386,28 +502,30 @@ export const runDashboards = async (folder, timeoutSeconds, opts) => {
       }
     });
 
-  child.stdout.pipe(process.stdout);
-  child.stderr.pipe(process.stderr);
+  // Recorded before it is ready, as OpenSearch is
+  recordProcess(child, 'Dashboards');
+  const output = captureOutput(child, 'dashboards', logFile);
 
   const timerStart = Date.now();
+  const interval = (opts.pollInterval ?? 5) * 1e3;
   do {
     const tryStart = Date.now();
-    if (await checkDashboardsHealth(opts)) {
+    const { ready, reason } = await checkDashboardsHealth(opts);
+    if (ready) {
       running = true;
-      child.stdout.unpipe(process.stdout);
-      child.stderr.unpipe(process.stderr);
-      recordProcess(child);
+      output.stopEcho();
       return child;
     }
 
     if (closed || Date.now() - timerStart > timeoutSeconds * 1e3) {
-      child.kill('SIGTERM');
-      child.unref();
+      // Its process group is stopped, as the Node process it starts is not the one spawned here
+      await stopSubprocess('Dashboards');
+      if (!closed) _error(`\n\nTimeout waiting for Dashboards to stabilize after ${timeoutSeconds}s: ${reason}\n`);
       return;
     }
 
     _notice(`\n\nWaiting for Dashboards to stabilize (${Math.floor((timeoutSeconds * 1e3 - Date.now() + timerStart) / 1e3)}s)\n`);
-    await setTimeout(5000 - Date.now() + tryStart);
+    await setTimeout(interval - Date.now() + tryStart);
   } while (true);
 };
 
@@ -416,12 +534,15 @@ export const runDashboards = async (folder, timeoutSeconds, opts) => {
  * @returns {Promise<string|undefined>}
  */
 export const prepareDashboards = async opts => {
-  const { destination, dashboardsVersion, refreshDownloads } = opts;
+  const { destination, dashboardsVersion, refreshDownloads, artifactBaseUrl } = opts;
 
   let dirSuffix;
   let useExisting;
   if (isVersion(dashboardsVersion)) {
     dirSuffix = `v${dashboardsVersion}`;
+  } else if (isArchive(dashboardsVersion)) {
+    const version = getArchiveVersion(dashboardsVersion);
+    dirSuffix = version ? `v${version}` : 'local';
   } else if (isGitHubSource(dashboardsVersion)) {
     dirSuffix = dashboardsVersion
       .replace(/^github:(\/\/)?/i, '')
@@ -439,13 +560,20 @@ export const prepareDashboards = async opts => {
   const startTime = Date.now();
   const osdDir = (useExisting && opts.build !== true) ? useExisting : path.join(destination, `Dashboards-${dirSuffix}`);
 
-  if (isVersion(dashboardsVersion)) {
-    const archive = await downloadDashboards(dashboardsVersion, refreshDownloads);
+  if (isRelease(dashboardsVersion)) {
+    const archive = isArchive(dashboardsVersion)
+      ? getArchivePath(dashboardsVersion)
+      : await downloadDashboards(dashboardsVersion, refreshDownloads, artifactBaseUrl, opts.skipChecksum);
 
     try {
       _unarchive(archive, osdDir);
     } catch (ex) {
+      if (isArchive(dashboardsVersion)) throw `Failed to unpack ${archive}: ${ex}`;
       throw `The downloaded Dashboards artifact appears to have been corrupted. Re-run the program with '--refresh-downloads' to download a fresh copy.`;
+    } finally {
+      // Unverified downloads are never reused
+      if (!isArchive(dashboardsVersion) && basename(archive).startsWith('unverified-'))
+        await rm(archive, { force: true });
     }
 
     for (const { optionName, releaseName, slug } of dashboardsPlugins) {
@@ -0,0 +1,342 @@
+import path from 'node:path';
+import { cp, mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { setTimeout } from 'node:timers/promises';
+import { checkOpenSearchHealth, getOpenSearchCommand } from './opensearch.js';
+import { checkDashboardsHealth, getDashboardsCommand } from './dashboards.js';
+import { isProcessAlive, readPidFile, spawnDetached, stopPidFile } from './subprocess.js';
+import { compareVersions, getDataPaths, isVersion } from './utils.js';
+import { rotateLargeLog } from './logs.js';
+import { assertPortsFree } from './ports.js';
+import { _error, _info, _notice, _ok, _verbose, _verbose2, _warning, addNonSecret, addSecret } from './logging.js';
+
+const stateKeys = [
+  'opensearchVersion',
+  'dashboardsVersion',
+  'build',
+  'security',
+  'username',
+  'password',
+  'opensearchHost',
+  'opensearchPort',
+  'opensearchTransportPort',
+  'dashboardsHost',
+  'dashboardsPort',
+  'dashboardsTls',
+  'dashboardsToolchain',
+  'dataDir',
+  'opensearchTimeout',
+  'dashboardsTimeout',
+  'pollInterval',
+  'waitFor',
+  'waitForPlugin',
+];
+
+/** Get the location of the launcher's state, pid and output files for a deployment
+ *
+ * @param {string} destination
+ * @returns {{stateDir: string, stateFile: string, opensearch: {pidFile: string, logFile: string}, dashboards:
+ *   {pidFile: string, logFile: string}}}
+ */
+export const getDeploymentPaths = destination => {
+  const stateDir = path.join(destination, '.osd-launcher');
+  return {
+    stateDir,
+    stateFile: path.join(stateDir, 'state.json'),
+    opensearch: {
+      pidFile: path.join(stateDir, 'opensearch.pid'),
+      logFile: path.join(stateDir, 'opensearch.out'),
+    },
+    dashboards: {
+      pidFile: path.join(stateDir, 'dashboards.pid'),
+      logFile: path.join(stateDir, 'dashboards.out'),
+    },
+  };
+};
+
+/** Record the state of a deployment so it can be started again later
+ *
+ * @param {string} destination
+ * @param {{osDir: (string|undefined), osdDir: (string|undefined)}} dirs
+ * @param {Object} opts
+ * @returns {Promise<void>}
+ */
+export const saveDeploymentState = async (destination, { osDir, osdDir }, opts) => {
+  const { stateDir, stateFile } = getDeploymentPaths(destination);
+  const state = { osDir, osdDir };
+  for (const key of stateKeys) state[key] = opts[key];
+
+  await mkdir(stateDir, { recursive: true });
+  // The state holds credentials; keep it private to the user
+  await writeFile(stateFile, JSON.stringify(state, null, 2), { encoding: 'utf8', mode: 0o600 });
+};
+
+/** Load the state of a deployment
+ *
+ * @param {string} destination
+ * @returns {Promise<Object>}
+ */
+export const loadDeploymentState = async destination => {
+  const { stateFile } = getDeploymentPaths(destination);
+  let state;
+  try {
+    state = JSON.parse(await readFile(stateFile, 'utf8'));
+  } catch (ex) {
+    if (ex.code === 'ENOENT')
+      throw `No deployment was found in ${destination}. Launch one with -os and/or -osd first.`;
+
+    throw `Failed to read the deployment state from ${stateFile}: ${ex.message ?? ex}`;
+  }
+
+  addSecret(state.password);
+  addNonSecret(state.username);
+  return state;
+};
+
+/** Make sure no detached instance is running from a destination
+ *
+ * @param {string} destination
+ * @returns {Promise<void>}
+ */
+export const assertDeploymentStopped = async destination => {
+  const paths = getDeploymentPaths(destination);
+  for (const component of ['opensearch', 'dashboards']) {
+    const pid = await readPidFile(paths[component].pidFile);
+    if (pid)
+      throw `A deployment in ${destination} is still running (pid ${pid}). Use the 'stop' command before relaunching.`;
+  }
+};
+
+/** Fill in the options of an upgrade that were not given with those the deployment was launched with
+ *
+ * @param {Object} opts Options to update in place
+ * @param {Object} state State of the deployment
+ * @param {function(string): boolean} isGiven Whether an option was given explicitly
+ * @returns {void}
+ */
+export const inheritDeploymentState = (opts, state, isGiven) => {
+  for (const key of stateKeys) {
+    if (!isGiven(key) && state[key] !== undefined) opts[key] = state[key];
+  }
+};
+
+const moveDir = async (from, to) => {
+  _verbose(`Moving ${from} to ${to}`);
+  await mkdir(path.dirname(to), { recursive: true });
+  try {
+    await rename(from, to);
+  } catch (ex) {
+    if (ex.code !== 'EXDEV') throw ex;
+    await cp(from, to, { recursive: true, verbatimSymlinks: true });
+    await rm(from, { force: true, recursive: true });
+  }
+};
+
+/** Prepare a stopped deployment to be relaunched with other versions on top of its data
+ *
+ * Data still kept inside the installations is moved to the data directory first, which defaults to "data" in the
+ * destination, so that preparing the new versions does not remove it.
+ *
+ * @param {Object} opts Options of the upgrade, updated in place
+ * @param {Object} state State of the deployment
+ * @returns {Promise<void>}
+ */
+export const prepareUpgrade = async (opts, state) => {
+  const from = state.opensearchVersion;
+  const to = opts.opensearchVersion;
+  if (state.osDir && isVersion(from) && isVersion(to) && compareVersions(to, from) < 0)
+    throw `OpenSearch cannot be downgraded from ${from} to ${to}; its data is not readable by older versions`;
+
+  opts.dataDir ??= path.join(opts.destination, 'data');
+  const target = getDataPaths(opts.dataDir);
+  const source = state.dataDir ? getDataPaths(state.dataDir) : {
+    opensearch: { data: state.osDir && path.join(state.osDir, 'data') },
+    dashboards: { data: state.osdDir && path.join(state.osdDir, 'data') },
+  };
+
+  for (const key of ['opensearch', 'dashboards']) {
+    const sourceData = source[key].data;
+    const targetData = target[key].data;
+    if (!sourceData || sourceData === targetData || !existsSync(sourceData)) continue;
+    if (existsSync(targetData)) throw `Failed to move ${sourceData} to ${targetData}, which already exists`;
+
+    await moveDir(sourceData, targetData);
+  }
+
+  for (const { key, name, version } of getComponents(state)) {
+    const newVersion = key === 'opensearch' ? opts.opensearchVersion : opts.dashboardsVersion;
+    if (newVersion === version) _info(`Relaunching ${name} ${version} on top of the data in ${opts.dataDir}`);
+    else _info(`Upgrading ${name} from ${version} to ${newVersion} on top of the data in ${opts.dataDir}`);
+  }
+};
+
+const waitForHealth = async (name, pid, check, timeoutSeconds, intervalSeconds) => {
+  const timerStart = Date.now();
+  do {
+    const tryStart = Date.now();
+    const { ready, reason } = await check();
+    if (ready) return true;
+
+    if (pid && !isProcessAlive(pid)) {
+      _error(`\n\n${name} exited before becoming healthy.\n`);
+      return false;
+    }
+
+    if (Date.now() - timerStart > timeoutSeconds * 1e3) {
+      _error(`\n\nTimeout waiting for ${name} to stabilize after ${timeoutSeconds}s: ${reason}\n`);
+      return false;
+    }
+
+    _notice(`Waiting for ${name} to stabilize (${Math.floor((timeoutSeconds * 1e3 - Date.now() + timerStart) / 1e3)}s)`);
+    await setTimeout(intervalSeconds * 1e3 - Date.now() + tryStart);
+  } while (true);
+};
+
+/** Get the components of a deployment
+ *
+ * @param {Object} state
+ * @returns {{key: string, name: string, dir: string, version: string, timeout: number, interval: number, getCommand:
+ *   function(): {command: string, args: string[]}, check: function(): Promise<{ready: boolean, reason:
+ *   (string|undefined)}>}[]}
+ */
+export const getComponents = state => {
+  const components = [];
+  if (state.osDir) components.push({
+    key: 'opensearch',
+    name: 'OpenSearch',
+    dir: state.osDir,
+    version: state.opensearchVersion,
+    timeout: state.opensearchTimeout ?? 180,
+    interval: state.pollInterval ?? 5,
+    getCommand: () => getOpenSearchCommand(state.osDir),
+    check: () => checkOpenSearchHealth(state),
+  });
+  if (state.osdDir) components.push({
+    key: 'dashboards',
+    name: 'Dashboards',
+    dir: state.osdDir,
+    version: state.dashboardsVersion,
+    timeout: state.dashboardsTimeout ?? (state.build ? 1800 : 600),
+    interval: state.pollInterval ?? 5,
+    getCommand: () => getDashboardsCommand(state.osdDir, state),
+    check: () => checkDashboardsHealth(state),
+  });
+
+  return components;
+};
+
+/** Get the log files of a deployment
+ *
+ * The state is only saved once a launch succeeds, so the logs of a launch that failed are found by their files.
+ *
+ * @param {string} destination
+ * @returns {Promise<{source: string, file: string}[]>}
+ */
+export const getDeploymentLogs = async destination => {
+  const paths = getDeploymentPaths(destination);
+  const state = existsSync(paths.stateFile) ? await loadDeploymentState(destination) : undefined;
+  const included = state ? getComponents(state).map(({ key }) => key) : [];
+
+  return ['opensearch', 'dashboards']
+    .filter(key => included.includes(key) || existsSync(paths[key].logFile))
+    .map(key => ({ source: key, file: paths[key].logFile }));
+};
+
+/** Start a prepared deployment in the background
+ *
+ * @param {string} destination
+ * @returns {Promise<void>}
+ */
+export const startDeployment = async destination => {
+  const state = await loadDeploymentState(destination);
+  const paths = getDeploymentPaths(destination);
+
+  for (const { key, name, dir, timeout, interval, getCommand, check } of getComponents(state)) {
+    const { pidFile, logFile } = paths[key];
+    const runningPid = await readPidFile(pidFile);
+    if (runningPid) {
+      _verbose2(`${name} is already running (pid ${runningPid})`);
+      continue;
+    }
+
+    await assertPortsFree(state, { opensearch: key === 'opensearch', dashboards: key === 'dashboards' });
+
+    _info(`Starting ${name} from ${dir} ...`);
+    const { command, args, env } = getCommand();
+    rotateLargeLog(logFile);
+    const child = await spawnDetached(command, args, { cwd: dir, env, pidFile, logFile });
+    _verbose(`${name} output is written to ${logFile}`);
+
+    if (!await waitForHealth(name, child.pid, check, timeout, interval)) {
+      await stopPidFile(pidFile);
+      throw `Failed to start ${name}; see ${logFile} for details`;
+    }
+  }
+
+  _ok(`Deployment in ${destination} is running.`);
+};
+
+/** Stop a deployment running in the background, Dashboards first
+ *
+ * @param {string} destination
+ * @returns {Promise<void>}
+ */
+export const stopDeployment = async destination => {
+  const state = await loadDeploymentState(destination);
+  const paths = getDeploymentPaths(destination);
+
+  for (const { key, name } of getComponents(state).reverse()) {
+    _verbose(`Stopping ${name}...`);
+    if (await stopPidFile(paths[key].pidFile)) _ok(`${name} stopped.`);
+    else _verbose2(`${name} was not running.`);
+  }
+};
+
+/** Wait for a component of a deployment to become healthy
+ *
+ * @param {string} destination
+ * @param {string} key Either opensearch or dashboards
+ * @returns {Promise<void>}
+ */
+export const waitForDeploymentComponent = async (destination, key) => {
+  const state = await loadDeploymentState(destination);
+  const component = getComponents(state).find(component => component.key === key);
+  if (!component) throw `The deployment in ${destination} does not include ${key}`;
+
+  const { name, check, timeout, interval } = component;
+  if (!await waitForHealth(name, undefined, check, timeout, interval)) throw `${name} did not become healthy`;
+};
+
+/** Report the state and health of a deployment
+ *
+ * @param {string} destination
+ * @returns {Promise<boolean>} Whether all components are healthy
+ */
+export const deploymentStatus = async destination => {
+  const state = await loadDeploymentState(destination);
+  const paths = getDeploymentPaths(destination);
+  let healthy = true;
+
+  for (const { key, name, dir, version, check } of getComponents(state)) {
+    _info(`${name} ${version} in ${dir}`);
+
+    const pid = await readPidFile(paths[key].pidFile);
+    if (pid) _verbose2(`Running in the background (pid ${pid})`);
+    else _verbose2(`Not running in the background`);
+
+    const { ready, reason } = await check();
+    if (!ready) {
+      healthy = false;
+      if (pid) _warning(`${name} is not ready: ${reason}`);
+    }
+  }
+
+  const scheme = state.security === true ? 'https' : 'http';
+  if (state.osDir) _verbose2(`OpenSearch: ${scheme}://${state.opensearchHost}:${state.opensearchPort}`);
+  if (state.osdDir)
+    _verbose2(`Dashboards: http${state.dashboardsTls ? 's' : ''}://${state.dashboardsHost}:${state.dashboardsPort}`);
+  _verbose2(`Security: ${state.security === true ? 'enabled' : 'disabled'}`);
+  if (state.dataDir) _verbose2(`Data: ${state.dataDir}`);
+
+  return healthy;
+};
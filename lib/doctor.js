@@ -0,0 +1,307 @@
+import os from 'node:os';
+import path from 'node:path';
+import { constants } from 'node:fs';
+import { access, readFile, stat, statfs } from 'node:fs/promises';
+import { setTimeout } from 'node:timers/promises';
+import { tmpDir } from './config.js';
+import { getDashboardsSource } from './dashboards.js';
+import { getOpenSearchHeap } from './opensearch.js';
+import { findInstalledNode, getRequiredNodeVersion as getCheckoutNodeVersion, matchesVersion } from './toolchain.js';
+import { _exec, _fetchText, findExecutable, formatBytes, isGitHubSource, isRelease, isVersionAlias } from './utils.js';
+import { _error, _info, _ok, _verbose, _warning } from './logging.js';
+
+const GB = 1024 * 1024 * 1024;
+
+// OpenSearch enforces these in its bootstrap checks when listening on other than a loopback address
+const minMaxMapCount = 262144;
+const minOpenFiles = 65535;
+
+// Rough needs of each part of a launch; building Dashboards from source needs by far the most
+const diskNeeds = { release: 1.5 * GB, opensearchBuild: 5 * GB, dashboardsBuild: 10 * GB };
+const memoryNeeds = { opensearch: 0.5 * GB, dashboards: 1 * GB, dashboardsBuild: 4 * GB };
+
+/** Tell how a component is launched: from a release, a GitHub source, or a local directory
+ *
+ * @param {string|undefined} value Version option of the component
+ * @returns {string|undefined}
+ */
+const getSourceKind = value => {
+  if (!value) return;
+  if (isRelease(value) || isVersionAlias(value)) return 'release';
+  if (isGitHubSource(value)) return 'github';
+  return 'directory';
+};
+
+const result = (status, title, remedy) => ({ status, title, remedy });
+
+const checkTool = async (name, reason, remedy) => {
+  const file = await findExecutable(name);
+  return file
+    ? result('ok', `${name} is available (${file})`)
+    : result('fail', `${name} is needed ${reason}, but was not found on the PATH`, remedy);
+};
+
+const getRequiredTools = (opts, kinds) => {
+  const tools = [];
+  const usesRelease = kinds.opensearch === 'release' || kinds.dashboards === 'release';
+
+  if (usesRelease && process.platform !== 'win32') {
+    tools.push(['tar', 'to unpack releases', 'Install tar, e.g. with apt install tar.']);
+    if ([opts.opensearchVersion, opts.dashboardsVersion].some(value => /\.zip$/i.test(value ?? '')))
+      tools.push(['unzip', 'to unpack zip archives', 'Install unzip, e.g. with apt install unzip.']);
+  }
+  if ((kinds.opensearch && opts.security === true && !opts.nodeCert) || (kinds.dashboards && opts.dashboardsTls))
+    tools.push(['openssl', 'to issue certificates', 'Install OpenSSL, e.g. with apt install openssl or brew install openssl.']);
+  if (kinds.opensearch === 'github' || kinds.dashboards === 'github' || kinds.dashboards === 'directory' ||
+    opts.opensearchPluginSource?.length)
+    tools.push(['git', 'to clone sources', 'Install git, e.g. with apt install git or brew install git.']);
+  if (opts.addService && process.platform === 'linux')
+    tools.push(['systemctl', 'to add services', 'Use a system managed by systemd, or leave out --add-service.']);
+
+  return tools;
+};
+
+const checkJava = async () => {
+  const { JAVA_HOME } = process.env;
+  if (JAVA_HOME) {
+    const java = path.join(JAVA_HOME, 'bin', process.platform === 'win32' ? 'java.exe' : 'java');
+    try {
+      await access(java, constants.X_OK);
+      return result('ok', `A JDK is available (${JAVA_HOME})`);
+    } catch (ex) {
+      return result('fail', `JAVA_HOME points to ${JAVA_HOME}, which has no bin/java`,
+        'Point JAVA_HOME to the installation of a JDK.');
+    }
+  }
+
+  return checkTool('java', 'to build OpenSearch', 'Install a JDK, e.g. Temurin 21, and set JAVA_HOME to it.');
+};
+
+/** Read the version of Node.js a checkout of Dashboards asks for
+ *
+ * Only the .nvmrc of GitHub sources is read, as they are not cloned yet.
+ *
+ * @returns {Promise<string|undefined>}
+ */
+const getRequiredNodeVersion = async (value, kind) => {
+  if (kind === 'directory') return getCheckoutNodeVersion(value);
+
+  const { user, repo, branch } = getDashboardsSource(value);
+  const url = `https://raw.githubusercontent.com/${user}/${repo}/${branch}/.nvmrc`;
+  const text = await Promise.race([
+    _fetchText(url),
+    setTimeout(10000).then(() => {
+      throw `No response within 10s`;
+    }),
+  ]);
+
+  return text.trim().replace(/^v/, '');
+};
+
+const checkNodeVersion = async (opts, kind) => {
+  let required;
+  try {
+    required = await getRequiredNodeVersion(opts.dashboardsVersion, kind);
+  } catch (ex) {
+    return result('warn', `The version of Node.js needed by Dashboards could not be found (${ex.message ?? ex})`);
+  }
+  if (!required) return result('warn', `Dashboards does not name the version of Node.js it needs`);
+
+  let current;
+  try {
+    current = (await _exec('node --version')).trim().replace(/^v/, '');
+  } catch (ex) {
+  }
+  if (current && matchesVersion(current, required))
+    return result('ok', `Node.js ${current} matches what Dashboards needs`);
+
+  // Dashboards is built under a matching version found or downloaded by the launcher
+  const installed = await findInstalledNode(required);
+  if (installed)
+    return result('ok', `Node.js ${installed.version} from ${installed.source} will be used for Dashboards, which needs ${required}`);
+
+  return result('warn', `Dashboards needs Node.js ${required}, which is not installed, so it will be downloaded`,
+    `Install Node.js ${required} beforehand to avoid the download, e.g. with nvm install ${required}.`);
+};
+
+const isLoopback = host => host === 'localhost' || host === '::1' || /^127\./.test(host ?? '');
+
+const checkKernelLimits = async opts => {
+  if (process.platform !== 'linux') return [];
+
+  // Below the limits, OpenSearch refuses to start unless it only listens on a loopback address, where it may still fail
+  // under load
+  const status = isLoopback(opts.opensearchHost) ? 'warn' : 'fail';
+  const checks = [];
+
+  try {
+    const maxMapCount = parseInt(await readFile('/proc/sys/vm/max_map_count', 'utf8'), 10);
+    checks.push(maxMapCount >= minMaxMapCount
+      ? result('ok', `vm.max_map_count is ${maxMapCount}`)
+      : result(status, `vm.max_map_count is ${maxMapCount}, below the ${minMaxMapCount} OpenSearch needs`,
+        `Run sudo sysctl -w vm.max_map_count=${minMaxMapCount}, and add vm.max_map_count=${minMaxMapCount} to ` +
+        `/etc/sysctl.conf to keep it.`));
+  } catch (ex) {
+    checks.push(result('warn', `vm.max_map_count could not be read (${ex.message ?? ex})`));
+  }
+
+  try {
+    const limit = (await _exec('ulimit -n')).trim();
+    checks.push(limit === 'unlimited' || parseInt(limit, 10) >= minOpenFiles
+      ? result('ok', `The limit of open files is ${limit}`)
+      : result(status, `The limit of open files is ${limit}, below the ${minOpenFiles} OpenSearch needs`,
+        `Run ulimit -n ${minOpenFiles} before launching, or raise nofile in /etc/security/limits.conf.`));
+  } catch (ex) {
+    checks.push(result('warn', `The limit of open files could not be read (${ex.message ?? ex})`));
+  }
+
+  return checks;
+};
+
+const findExistingDir = async dir => {
+  let current = path.resolve(dir);
+  while (true) {
+    try {
+      if ((await stat(current)).isDirectory()) return current;
+    } catch (ex) {
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return current;
+    current = parent;
+  }
+};
+
+const checkDiskSpace = async (opts, kinds) => {
+  const needs = [
+    {
+      name: 'the destination',
+      dir: opts.destination,
+      bytes: (kinds.opensearch ? diskNeeds.release : 0) + (kinds.dashboards ? diskNeeds.release : 0),
+    },
+    {
+      name: 'the cache',
+      dir: tmpDir,
+      bytes: (kinds.opensearch === 'release' || kinds.dashboards === 'release' ? diskNeeds.release : 0) +
+        (kinds.opensearch && kinds.opensearch !== 'release' ? diskNeeds.opensearchBuild : 0) +
+        (kinds.dashboards && kinds.dashboards !== 'release' ? diskNeeds.dashboardsBuild : 0),
+    },
+  ];
+
+  // Locations on the same file system share its free space
+  const devices = new Map();
+  for (const need of needs) {
+    const dir = await findExistingDir(need.dir);
+    const { dev } = await stat(dir);
+    const device = devices.get(dev) ?? { dir, names: [], bytes: 0 };
+    device.names.push(need.name);
+    device.bytes += need.bytes;
+    devices.set(dev, device);
+  }
+
+  const checks = [];
+  for (const { dir, names, bytes } of devices.values()) {
+    const { bavail, bsize } = await statfs(dir);
+    const free = bavail * bsize;
+    const what = `${names.join(' and ')} (${dir})`;
+    checks.push(free >= bytes
+      ? result('ok', `${formatBytes(free)} is free for ${what}`)
+      : result('fail', `${formatBytes(free)} is free for ${what}, less than the ${formatBytes(bytes)} needed`,
+        `Free up space, or use another location with --destination or --cache-dir.`));
+  }
+
+  return checks;
+};
+
+const parseSize = size => {
+  const match = /^(\d+)([kmg])$/i.exec(size ?? '');
+  if (!match) return GB;
+  return parseInt(match[1], 10) * 1024 ** (' kmg'.indexOf(match[2].toLowerCase()));
+};
+
+const checkMemory = (opts, kinds) => {
+  const available = os.freemem();
+  // OpenSearch uses 1g of heap unless told otherwise
+  const heap = parseSize(getOpenSearchHeap(opts));
+  const needed = (kinds.opensearch ? heap + memoryNeeds.opensearch : 0) +
+    (kinds.dashboards ? memoryNeeds.dashboards : 0) +
+    (kinds.dashboards && kinds.dashboards !== 'release' ? memoryNeeds.dashboardsBuild : 0);
+
+  // Free memory leaves out what the page cache holds, and the JVM does not commit the whole heap when it starts, so a
+  // launch is not blocked over it
+  if (kinds.opensearch && available < heap)
+    return result('warn', `${formatBytes(available)} of memory is available, less than the ${formatBytes(heap)} heap ` +
+      `of OpenSearch`, `Close other applications, or use a smaller heap with --opensearch-heap, e.g. 512m.`);
+  if (available < needed)
+    return result('warn', `${formatBytes(available)} of memory is available, less than the ${formatBytes(needed)} ` +
+      `recommended`, `Close other applications before launching.`);
+
+  return result('ok', `${formatBytes(available)} of memory is available`);
+};
+
+/** Check that this machine has what a launch needs
+ *
+ * What is checked depends on the options: the tools needed to unpack, clone, build and issue certificates, the version
+ * of Node.js a checkout of Dashboards asks for, the kernel limits OpenSearch needs, the free space in the destination
+ * and the cache, and the available memory. Without versions, releases of both are assumed.
+ *
+ * @param {Object} opts
+ * @returns {Promise<{status: string, title: string, remedy: (string|undefined)}[]>} Results with a status of ok, warn
+ *   or fail, and how to fix a problem
+ */
+export const runChecks = async opts => {
+  const kinds = opts.opensearchVersion || opts.dashboardsVersion
+    ? { opensearch: getSourceKind(opts.opensearchVersion), dashboards: getSourceKind(opts.dashboardsVersion) }
+    : { opensearch: 'release', dashboards: 'release' };
+
+  const checks = [];
+  for (const [name, reason, remedy] of getRequiredTools(opts, kinds)) checks.push(await checkTool(name, reason, remedy));
+  if (kinds.opensearch && kinds.opensearch !== 'release') checks.push(await checkJava());
+  if (kinds.dashboards && kinds.dashboards !== 'release') checks.push(await checkNodeVersion(opts, kinds.dashboards));
+  if (kinds.opensearch) checks.push(...await checkKernelLimits(opts));
+  checks.push(...await checkDiskSpace(opts, kinds));
+  checks.push(checkMemory(opts, kinds));
+
+  return checks;
+};
+
+const printCheck = ({ status, title, remedy }) => {
+  if (status === 'ok') return _ok(`  OK    ${title}`);
+
+  (status === 'fail' ? _error : _warning)(`  ${status === 'fail' ? 'FAIL' : 'WARN'}  ${title}`);
+  if (remedy) _info(`        ${remedy}`);
+};
+
+/** Run the checks of a launch and print all their results
+ *
+ * @param {Object} opts
+ * @returns {Promise<boolean>} Whether no check failed
+ */
+export const doctor = async opts => {
+  _info(`Checking this machine...`);
+  const checks = await runChecks(opts);
+  checks.forEach(printCheck);
+
+  const failures = checks.filter(({ status }) => status === 'fail').length;
+  if (failures) _error(`${failures} of ${checks.length} checks failed.`);
+  else _ok(`This machine is ready.`);
+
+  return failures === 0;
+};
+
+/** Run the checks of a launch before preparing anything, printing only the problems
+ *
+ * @param {Object} opts
+ * @returns {Promise<void>}
+ */
+export const runPreflightChecks = async opts => {
+  const checks = await runChecks(opts);
+  for (const check of checks) {
+    if (check.status === 'ok') _verbose(`  OK    ${check.title}`);
+    else printCheck(check);
+  }
+
+  const failures = checks.filter(({ status }) => status === 'fail').length;
+  if (failures)
+    throw `${failures} preflight checks failed; fix them as suggested above, or use --skip-checks to launch anyway`;
+};
@@ -0,0 +1,235 @@
+import { get, setCacheDir } from './config.js';
+import { prepareOpenSearch, runOpenSearch } from './opensearch.js';
+import { prepareDashboards, runDashboards } from './dashboards.js';
+import { camelCase, isRelease, isVersionAlias } from './utils.js';
+import { handleSignals, stopSubprocess } from './subprocess.js';
+import { assertDeploymentStopped, getDeploymentPaths, saveDeploymentState } from './deployment.js';
+import { loadSecurityConfig } from './security.js';
+import { getLauncherCA } from './certs.js';
+import { resolveVersionAlias } from './versions.js';
+import { seedDeployment } from './seed.js';
+import { getDashboardsTarget, getOpenSearchTarget } from './api.js';
+import { allocatePorts } from './ports.js';
+import { runPreflightChecks } from './doctor.js';
+import { addNonSecret, addSecret, configureLogging } from './logging.js';
+import { getDefaultOptions, parseOptions } from './options.js';
+
+// Dashboards plugins that can be left out or built from a source of their own
+const pluginSlugs = get('projects')
+  .map(({ slug }) => slug)
+  .filter(slug => slug !== 'dashboards');
+
+/** Resolve version aliases and work out which plugins to include
+ *
+ * @param {Object} opts Options to update in place
+ * @returns {Promise<void>}
+ */
+export const resolveOptions = async opts => {
+  const { artifactBaseUrl } = opts;
+  if (isVersionAlias(opts.opensearchVersion)) {
+    const product = opts.opensearchDistribution === 'min' ? 'opensearch-min' : 'opensearch';
+    opts.opensearchVersion = await resolveVersionAlias(product, opts.opensearchVersion, { artifactBaseUrl });
+  }
+  if (isVersionAlias(opts.dashboardsVersion))
+    opts.dashboardsVersion = await resolveVersionAlias('dashboards', opts.dashboardsVersion, { artifactBaseUrl });
+
+  if (opts.plugins !== true) {
+    opts.plugins = false;
+    for (const slug of pluginSlugs)
+      if (slug !== 'security' && !opts[camelCase(`${slug}-source`)])
+        opts[camelCase(slug)] = false;
+  }
+  if (isRelease(opts.dashboardsVersion)) opts.build = false;
+};
+
+/** Find what is wrong with a combination of options
+ *
+ * @param {Object} opts
+ * @returns {string|undefined}
+ */
+export const getOptionsError = opts => {
+  if (opts.security === true && !opts.password)
+    return 'Password is required when security is enabled. Use -p or --password to set a password, or use --no-security to disable security.';
+  if (opts.security !== true && opts.password)
+    return 'Password cannot be set when security is disabled (--no-security).';
+  if (opts.security !== true && opts.securityConfig)
+    return 'A security config cannot be used when security is disabled (--no-security).';
+  if (opts.opensearchPluginSource && isRelease(opts.opensearchVersion))
+    return 'Plugins can only be built from source when OpenSearch is; use --opensearch-plugin to install a plugin zip.';
+  if (opts.caKey && !opts.caCert)
+    return '--ca-key needs the certificate authority to be given with --ca-cert.';
+  if (!opts.nodeCert !== !opts.nodeKey)
+    return '--node-cert and --node-key need to be used together.';
+  if (opts.nodeCert && !opts.caCert)
+    return '--node-cert needs the certificate authority that issued it to be given with --ca-cert.';
+  if (opts.caCert && !opts.caKey && !opts.nodeCert)
+    return '--ca-cert needs either --ca-key to issue certificates, or --node-cert and --node-key.';
+  if (opts.dashboardsTls && opts.caCert && !opts.caKey)
+    return '--dashboards-tls needs --ca-key to issue the certificate of Dashboards.';
+  if (!opts.caCert && opts.certValidity > opts.caValidity)
+    return '--cert-validity cannot exceed --ca-validity, as certificates cannot outlive the authority that issues them.';
+};
+
+let launched = false;
+let removeSignalHandlers;
+
+// The rest of the launcher throws strings, which test runners report poorly
+const withErrors = async fn => {
+  try {
+    return await fn();
+  } catch (ex) {
+    throw ex instanceof Error ? ex : new Error(`${ex}`);
+  }
+};
+
+const startStack = async (osDir, osdDir, opts) => {
+  const paths = getDeploymentPaths(opts.destination);
+  const processes = {};
+
+  if (osDir) {
+    processes.opensearch = await runOpenSearch(osDir, opts.opensearchTimeout, opts, paths.opensearch.logFile);
+    if (!processes.opensearch) throw `Failed to run OpenSearch; see ${paths.opensearch.logFile} for details`;
+  }
+
+  if (osdDir) {
+    // Building Dashboards on its first start takes a while longer
+    const timeout = opts.dashboardsTimeout ?? (opts.build ? 1800 : 600);
+    processes.dashboards = await runDashboards(osdDir, timeout, opts, paths.dashboards.logFile);
+    if (!processes.dashboards) {
+      await stopSubprocess('OpenSearch');
+      throw `Failed to run OpenSearch Dashboards; see ${paths.dashboards.logFile} for details`;
+    }
+  }
+
+  return processes;
+};
+
+const stopStack = async () => {
+  await stopSubprocess('Dashboards');
+  await stopSubprocess('OpenSearch');
+};
+
+const stopHandlingSignals = () => {
+  removeSignalHandlers?.();
+  removeSignalHandlers = undefined;
+};
+
+const launchStack = async options => {
+  const opts = { ...getDefaultOptions(), ...parseOptions(options) };
+  setCacheDir(opts.cacheDir);
+  configureLogging({ level: opts.quiet ? 'quiet' : opts.verbose ? 'verbose' : 'normal' });
+  addSecret(opts.password);
+  addNonSecret(opts.username);
+
+  await resolveOptions(opts);
+  const problem = getOptionsError(opts);
+  if (problem) throw problem;
+  if (!opts.opensearchVersion && !opts.dashboardsVersion)
+    throw `Specify opensearchVersion and/or dashboardsVersion to launch`;
+  if (launched) throw `A stack launched by this process is still running; stop it first`;
+
+  if (opts.securityConfig) await loadSecurityConfig(opts.securityConfig);
+  await assertDeploymentStopped(opts.destination);
+  await allocatePorts(opts, { opensearch: !!opts.opensearchVersion, dashboards: !!opts.dashboardsVersion });
+  if (!opts.skipChecks) await runPreflightChecks(opts);
+
+  const osDir = await prepareOpenSearch(opts);
+  const osdDir = await prepareDashboards(opts);
+
+  launched = true;
+  if (opts.handleSignals) removeSignalHandlers ??= handleSignals();
+
+  let processes;
+  try {
+    processes = await startStack(osDir, osdDir, opts);
+
+    const failures = await seedDeployment(opts, !!osDir, !!osdDir);
+    if (failures) throw `${failures} seeds failed to load`;
+
+    await saveDeploymentState(opts.destination, { osDir, osdDir }, opts);
+  } catch (ex) {
+    await stopStack();
+    stopHandlingSignals();
+    launched = false;
+    throw ex;
+  }
+
+  const paths = getDeploymentPaths(opts.destination);
+  const handle = {
+    destination: opts.destination,
+    opensearch: osDir && {
+      version: opts.opensearchVersion,
+      dir: osDir,
+      url: getOpenSearchTarget(opts).url,
+      transportPort: Number(opts.opensearchTransportPort),
+      logFile: paths.opensearch.logFile,
+      process: processes.opensearch,
+    },
+    dashboards: osdDir && {
+      version: opts.dashboardsVersion,
+      dir: osdDir,
+      url: getDashboardsTarget(opts).url,
+      logFile: paths.dashboards.logFile,
+      process: processes.dashboards,
+    },
+    username: opts.security === true ? opts.username : undefined,
+    password: opts.security === true ? opts.password : undefined,
+    caCert: (opts.security === true || opts.dashboardsTls) ? opts.caCert ?? getLauncherCA().cert : undefined,
+    stop: () => withErrors(async () => {
+      if (!launched) return;
+      await stopStack();
+      stopHandlingSignals();
+      launched = false;
+    }),
+    restart: () => withErrors(async () => {
+      await stopStack();
+      launched = true;
+      try {
+        processes = await startStack(osDir, osdDir, opts);
+      } catch (ex) {
+        launched = false;
+        throw ex;
+      }
+
+      if (handle.opensearch) handle.opensearch.process = processes.opensearch;
+      if (handle.dashboards) handle.dashboards.process = processes.dashboards;
+    }),
+  };
+
+  return handle;
+};
+
+/**
+ * @typedef {Object} LaunchedComponent
+ * @property {string} version
+ * @property {string} dir Installation directory
+ * @property {string} url
+ * @property {number|undefined} transportPort Set for OpenSearch
+ * @property {string} logFile File capturing the output of the process
+ * @property {ChildProcess} process
+ */
+
+/**
+ * @typedef {Object} LaunchedStack
+ * @property {string} destination
+ * @property {LaunchedComponent|undefined} opensearch
+ * @property {LaunchedComponent|undefined} dashboards
+ * @property {string|undefined} username Set when security is enabled
+ * @property {string|undefined} password Set when security is enabled
+ * @property {string|undefined} caCert Certificate authority to trust when serving HTTPS
+ * @property {function(): Promise<void>} stop Stop the processes, Dashboards first
+ * @property {function(): Promise<void>} restart Stop the processes and start them again, resolving once healthy
+ */
+
+/** Launch OpenSearch and/or Dashboards, resolving once they are healthy
+ *
+ * Options are those of the command-line, camel-cased, e.g. { opensearchVersion: '2.15.0', password: '...' }, with the
+ * same defaults, parsed and validated the same way. The processes keep running until stopped, or until the current
+ * process exits. One stack can be launched at a time by a process, and failures reject with an Error. With
+ * handleSignals, an interrupted or terminated process stops the stack and exits, until the stack is stopped; otherwise,
+ * signals are left to the caller.
+ *
+ * @param {Object.<string, any>} options
+ * @returns {Promise<LaunchedStack>}
+ */
+export const launch = options => withErrors(() => launchStack(options ?? {}));
@@ -1,28 +1,133 @@
 import chalk from 'chalk';
 
+const levels = ['quiet', 'normal', 'verbose'];
+
+let level = levels.indexOf('normal');
+let stream = process.stdout;
+const secrets = new Set();
+const nonSecrets = new Set();
+
+/** Set what is logged and where to
+ *
+ * Color is used only when writing to a terminal, unless FORCE_COLOR says otherwise, and never with NO_COLOR.
+ *
+ * @param {Object} options
+ * @param {string} [options.level] One of quiet, which only logs warnings and errors, normal, or verbose
+ * @param {boolean} [options.stderr] Log to stderr, keeping stdout for machine-readable output
+ * @returns {void}
+ */
+export const configureLogging = ({ level: name = 'normal', stderr = false }) => {
+  level = levels.indexOf(name);
+  stream = stderr ? process.stderr : process.stdout;
+
+  if ('NO_COLOR' in process.env) chalk.level = 0;
+  else if (!process.env.FORCE_COLOR && !stream.isTTY) chalk.level = 0;
+};
+
+/** Get the stream logs are written to
+ *
+ * @returns {NodeJS.WriteStream}
+ */
+export const getLogStream = () => stream;
+
+/** Keep a secret, like a password, out of everything logged
+ *
+ * @param {string} secret
+ * @returns {void}
+ */
+export const addSecret = secret => {
+  if (typeof secret === 'string' && secret) secrets.add(secret);
+};
+
+/** Keep a value that is not secret, like a username, from being redacted, even when a secret has the same value
+ *
+ * @param {string} value
+ * @returns {void}
+ */
+export const addNonSecret = value => {
+  if (typeof value === 'string' && value) nonSecrets.add(value);
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Values of fields holding secrets, wherever they show up: JSON and YAML, key=value pairs, command-line arguments,
+// authorization headers and credentials in URLs
+const secretFields = [
+  [
+    /((?<![A-Za-z])(?:password|passwd|secret|token)"?\s*[:=]\s*)("(?:[^"\\]|\\.)*"|'[^']*'|[^\s,;}&]+)/gi,
+    (match, field, value) => `${field}${/^["']/.test(value) ? `${value[0]}********${value[0]}` : '********'}`,
+  ],
+  // Not paths, which follow -p in commands like mkdir -p
+  [/((?:^|\s)(?:-p|--password)(?:\s+|=))(?![-\/.~])\S+/g, '$1********'],
+  [/(Authorization"?\s*[:=]?\s*"?(?:Basic|Bearer)\s+)[\w+\/=.~-]+/gi, '$1********'],
+  [/(\/\/[^\/\s:@]+:)[^\/\s@]+@/g, '$1********@'],
+];
+
+/** Replace the secrets in a text
+ *
+ * The values of fields holding secrets are always replaced. Secrets kept with addSecret are also replaced where they
+ * stand on their own, unless a value that is not secret, like the username, is the same.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export const redact = text => {
+  let redacted = `${text}`;
+  for (const [pattern, replacement] of secretFields) redacted = redacted.replace(pattern, replacement);
+
+  for (const secret of secrets) {
+    if (nonSecrets.has(secret)) continue;
+    redacted = redacted.replace(new RegExp(`(?<![\\w-])${escapeRegExp(secret)}(?![\\w-])`, 'g'), '********');
+  }
+
+  return redacted;
+};
+
+const write = (minLevel, color, args) => {
+  if (level < levels.indexOf(minLevel)) return;
+  // Redacted before coloring, as the escape codes colors start with would hide secrets at the start of an argument
+  stream.write(`${args.map(l => color(redact(`${l}`))).join(' ')}\n`);
+};
+
 export const _info = (...args) => {
-  console.log.apply(null, args.map(l => chalk.cyan(l)));
+  write('normal', chalk.cyan, args);
 };
 
 export const _ok = (...args) => {
-  console.log.apply(null, args.map(l => chalk.green(l)));
+  write('normal', chalk.green, args);
 };
 
 export const _verbose = (...args) => {
-  console.log.apply(null, args.map(l => chalk.gray(l)));
+  write('verbose', chalk.gray, args);
 };
 export const _verbose2 = (...args) => {
-  console.log.apply(null, args.map(l => chalk.white(l)));
+  write('normal', chalk.white, args);
 };
 
 export const _notice = (...args) => {
-  console.log.apply(null, args.map(l => chalk.magenta(l)));
+  write('normal', chalk.magenta, args);
 };
 
 export const _warning = (...args) => {
-  console.log.apply(null, args.map(l => chalk.yellow(l)));
+  write('quiet', chalk.yellow, args);
 };
 
 export const _error = (...args) => {
-  console.log.apply(null, args.map(l => chalk.red(l)));
-};
\ No newline at end of file
+  write('quiet', chalk.red, args);
+};
+
+// Output of a subprocess, labelled with its source
+export const _output = (source, line) => {
+  write('normal', l => l, [chalk.dim(`[${source}]`), line]);
+};
+
+// Updates the same line when writing to a terminal
+export const _progress = (text, final = false) => {
+  if (level < levels.indexOf('normal')) return;
+
+  if (stream.isTTY) {
+    stream.write(`\r${chalk.gray(redact(text))}\x1b[K${final ? '\n' : ''}`);
+  } else {
+    write('normal', chalk.gray, [text]);
+  }
+};
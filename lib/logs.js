@@ -0,0 +1,209 @@
+import { closeSync, existsSync, mkdirSync, openSync, renameSync, statSync, writeSync } from 'node:fs';
+import { open } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createInterface } from 'node:readline';
+import { setTimeout } from 'node:timers/promises';
+import { _output, redact } from './logging.js';
+
+// Log files are rotated past this size, keeping this many of them including the current one
+const maxLogSize = 10 * 1024 * 1024;
+const maxLogFiles = 5;
+
+export const logLevels = ['trace', 'debug', 'info', 'warn', 'error'];
+
+const rotateLog = file => {
+  for (let i = maxLogFiles - 1; i > 0; i--) {
+    const from = i === 1 ? file : `${file}.${i - 1}`;
+    if (existsSync(from)) renameSync(from, `${file}.${i}`);
+  }
+};
+
+/** Rotate a log file if it has grown past the size limit
+ *
+ * Processes started in the background write to their log file directly, so it can only be rotated before they start.
+ *
+ * @param {string} file
+ * @returns {void}
+ */
+export const rotateLargeLog = file => {
+  if (existsSync(file) && statSync(file).size > maxLogSize) rotateLog(file);
+};
+
+const openLog = file => {
+  mkdirSync(dirname(file), { recursive: true });
+  let size = existsSync(file) ? statSync(file).size : 0;
+  let fd = openSync(file, 'a');
+
+  return {
+    write: text => {
+      const length = Buffer.byteLength(text);
+      if (size > 0 && size + length > maxLogSize) {
+        closeSync(fd);
+        rotateLog(file);
+        fd = openSync(file, 'a');
+        size = 0;
+      }
+
+      writeSync(fd, text);
+      size += length;
+    },
+    close: () => closeSync(fd),
+  };
+};
+
+/** Capture the output of a process into a rotating log file, echoing it to the terminal labelled with its source
+ *
+ * The output keeps being read and logged after echoing stops, so the process never blocks on a full pipe.
+ *
+ * @param {ChildProcess} child
+ * @param {string} source Label of the output, e.g. opensearch
+ * @param {string} logFile
+ * @returns {{stopEcho: function(): void}}
+ */
+export const captureOutput = (child, source, logFile) => {
+  const log = openLog(logFile);
+  let echo = true;
+  let openStreams = 2;
+
+  for (const stream of [child.stdout, child.stderr]) {
+    createInterface({ input: stream, crlfDelay: Infinity })
+      .on('line', line => {
+        log.write(`${redact(line)}\n`);
+        if (echo) _output(source, line);
+      })
+      .on('close', () => {
+        if (--openStreams === 0) log.close();
+      });
+  }
+
+  return { stopEcho: () => { echo = false; } };
+};
+
+const normalizeLevel = level => {
+  const value = `${level}`.toLowerCase();
+  if (value === 'warning') return 'warn';
+  if (value === 'fatal' || value === 'critical') return 'error';
+  return logLevels.includes(value) ? value : undefined;
+};
+
+/** Get the level of a log line and a readable form of it
+ *
+ * OpenSearch logs JSON when configured to, otherwise lines start with [timestamp][LEVEL], while Dashboards tags its
+ * lines with [level], or logs JSON with the level among its tags.
+ *
+ * @param {string} line
+ * @returns {{level: (string|undefined), text: string}}
+ */
+const parseLine = line => {
+  if (line.startsWith('{')) {
+    try {
+      const json = JSON.parse(line);
+      const level = normalizeLevel(json.level) ?? json.tags?.map(normalizeLevel).find(level => level);
+      const timestamp = json.timestamp ?? json['@timestamp'] ?? '';
+      const component = json.component ?? json.tags?.filter(tag => !normalizeLevel(tag)).join(',') ?? '';
+      const prefix = `${timestamp} ${(level ?? '').toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}`;
+      const text = [
+        `${prefix}${json.message ?? line}`,
+        ...[json.stacktrace ?? []].flat().map(frame => `    ${frame}`),
+      ].join('\n');
+
+      return { level, text };
+    } catch (ex) {
+    }
+  }
+
+  const level = normalizeLevel(
+    /^\[[^\]]+]\[(\w+)\s*]/.exec(line)?.[1] ??
+    /\[(trace|debug|info|warning|error|fatal)]/i.exec(line)?.[1],
+  );
+  return { level, text: line };
+};
+
+const createFilter = minLevel => {
+  let lastLevel;
+  return line => {
+    const { level, text } = parseLine(line);
+    // Lines without a level, like stack traces, belong to the line before them
+    if (level) lastLevel = level;
+    if (minLevel && logLevels.indexOf(lastLevel ?? 'info') < logLevels.indexOf(minLevel)) return;
+
+    return text;
+  };
+};
+
+const readLastLines = async (file, count) => {
+  const handle = await open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    // Lines are rarely longer than this, and reading a bounded tail keeps large logs cheap
+    const length = Math.min(size, Math.max(count, 1) * 2048);
+    const { buffer } = await handle.read(Buffer.alloc(length), 0, length, size - length);
+    const lines = buffer.toString('utf8').split('\n');
+    if (length < size) lines.shift();
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    return { lines: count ? lines.slice(-count) : [], position: size };
+  } finally {
+    await handle.close();
+  }
+};
+
+const readFrom = async (file, position) => {
+  const { size } = statSync(file);
+  // A smaller file has been rotated, and the new one is read from its start
+  const start = size < position ? 0 : position;
+  if (size === start) return { text: '', position: start };
+
+  const handle = await open(file, 'r');
+  try {
+    const { buffer } = await handle.read(Buffer.alloc(size - start), 0, size - start, start);
+    return { text: buffer.toString('utf8'), position: size };
+  } finally {
+    await handle.close();
+  }
+};
+
+/** Print the last lines of log files, optionally following them as they grow
+ *
+ * @param {{source: string, file: string}[]} logs
+ * @param {Object} [options]
+ * @param {number} [options.lines] Number of lines to print from the end of each file
+ * @param {string} [options.level] Minimum level of lines to print
+ * @param {boolean} [options.follow] Keep printing new lines until interrupted
+ * @returns {Promise<void>}
+ */
+export const printLogs = async (logs, { lines = 50, level, follow } = {}) => {
+  const tails = [];
+  for (const { source, file } of logs) {
+    const filter = createFilter(level);
+    if (!existsSync(file)) {
+      tails.push({ source, file, filter, position: 0, partial: '' });
+      continue;
+    }
+
+    const { lines: lastLines, position } = await readLastLines(file, lines);
+    for (const line of lastLines) {
+      const text = filter(line);
+      if (text !== undefined) _output(source, text);
+    }
+    tails.push({ source, file, filter, position, partial: '' });
+  }
+
+  while (follow) {
+    for (const tail of tails) {
+      if (!existsSync(tail.file)) continue;
+
+      const { text, position } = await readFrom(tail.file, tail.position);
+      tail.position = position;
+
+      const newLines = (tail.partial + text).split('\n');
+      tail.partial = newLines.pop();
+      for (const line of newLines) {
+        const filtered = tail.filter(line);
+        if (filtered !== undefined) _output(tail.source, filtered);
+      }
+    }
+
+    await setTimeout(500);
+  }
+};
@@ -1,44 +1,232 @@
 import path, { basename } from 'node:path';
-import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { cp, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
 import { spawn } from 'node:child_process';
 import os from 'node:os';
-import { getRandomValues } from 'node:crypto';
-import { Agent, get } from 'node:https';
+import { pathToFileURL } from 'node:url';
 import { setTimeout } from 'node:timers/promises';
-import { _appendToFile, _changeInFile, _deleteFromFile, _download, _exec, _unarchive, isVersion } from './utils.js';
-import { recordProcess } from './subprocess.js';
+import {
+  _appendToFile,
+  _changeInFile,
+  _download,
+  _spawn,
+  _unarchive,
+  getArchivePath,
+  getArchiveVersion,
+  getDataPaths,
+  isArchive,
+  isGitHubSource,
+  isVersion,
+} from './utils.js';
+import { recordProcess, stopSubprocess } from './subprocess.js';
+import { captureOutput } from './logs.js';
 import { _error, _info, _notice, _ok, _verbose, _verbose2, _warning } from './logging.js';
-import { ARCH, EXTENSION, PLATFORM, tmpDir, TYPE } from './config.js';
-import { bcrypt } from 'hash-wasm';
+import { ARCH, EXTENSION, get as getConfig, getArtifactURL, PLATFORM, tmpDir } from './config.js';
+import { touchCacheEntry } from './cache.js';
+import { getSnapshotDir } from './snapshot.js';
+import { describeRequestError, getErrorReason, getOpenSearchTarget, sendRequest } from './api.js';
+import { mergeYamlSettings } from './yaml.js';
+import { applySecurityConfig, hashPassword, loadSecurityConfig } from './security.js';
+import {
+  adminCertSubject,
+  copyCertificateFile,
+  getCertificateAuthority,
+  getCertificateSubject,
+  getSubjectAltNames,
+  issueCertificate,
+  nodeCertSubject,
+  toDistinguishedName,
+} from './certs.js';
+
+const engineProjects = {};
+for (const project of getConfig('engine-projects')) engineProjects[project.slug] = project;
+
+/** Get the GitHub source of OpenSearch or one of its plugins
+ *
+ * @param {string} slug
+ * @param {string} [requestedSource] Either github:user/repo/branch, or github://branch for the official repository
+ * @param {string} [defaultBranch] Branch of the official repository to use if none is requested
+ * @returns {{user: string, repo: string, branch: string}}
+ */
+const getEngineSource = (slug, requestedSource, defaultBranch) => {
+  if (!engineProjects[slug]) throw `Unknown OpenSearch project: ${slug}`;
+
+  const [officialUser, officialRepo, officialBranch] = engineProjects[slug].src.replace(/^github:/i, '').split('/');
+  const [user, repo, branch] = (requestedSource?.trim?.() ?? '').replace(/^github:(\/\/)?/i, '').split('/');
+
+  if (user && repo && branch) return { user, repo, branch };
+  if (user && repo === undefined) return { user: officialUser, repo: officialRepo, branch: user };
+  if (!user) return { user: officialUser, repo: officialRepo, branch: defaultBranch || officialBranch };
+
+  throw `Failed to find a source for ${engineProjects[slug].name} using ${requestedSource}.`;
+};
+
+const getGradleWrapper = folder => {
+  const gradlew = path.join(folder, process.platform === 'win32' ? 'gradlew.bat' : 'gradlew');
+  if (!existsSync(gradlew)) throw `Failed to find the Gradle wrapper in ${folder}`;
+  return gradlew;
+};
+
+/** Clone a GitHub version of OpenSearch
+ *
+ * @param {string} source
+ * @returns {Promise<string>}
+ */
+export const cloneOpenSearch = async source => {
+  const dest = path.join(tmpDir, 'opensearch-' + source.replace(/[^a-z0-9.\-]+/ig, '-'));
+  await rm(dest, { force: true, recursive: true });
+
+  const { user, repo, branch } = getEngineSource('opensearch', source);
+  _info(`Cloning OpenSearch from github:${user}/${repo}/${branch}`);
+  await _spawn(`git clone https://github.com/${user}/${repo}.git --depth 1 --branch ${branch} -- ${dest}`);
+
+  return dest;
+};
+
+/** Get the version of an OpenSearch source
+ *
+ * @param {string} folder
+ * @returns {Promise<string>}
+ */
+export const getOpenSearchSourceVersion = async folder => {
+  const propsFile = path.join(folder, 'buildSrc/version.properties');
+  if (!existsSync(propsFile)) throw `Failed to find ${propsFile}; is ${folder} an OpenSearch source?`;
+
+  const version = /^opensearch\s*=\s*(\S+)/m.exec(await readFile(propsFile, 'utf8'))?.[1];
+  if (!version) throw `Failed to find the version of OpenSearch in ${propsFile}`;
+
+  return version;
+};
+
+/** Build a local distribution of OpenSearch
+ *
+ * @param {string} folder
+ * @returns {Promise<string>} Location of the distribution
+ */
+export const buildOpenSearch = async folder => {
+  _info(`Building OpenSearch in ${folder}`);
+
+  try {
+    await _spawn([getGradleWrapper(folder), 'localDistro'], { cwd: folder });
+  } catch (ex) {
+    throw `Failed to build OpenSearch in ${folder}`;
+  }
+
+  const localDir = path.join(folder, 'build/distribution/local');
+  const [distName] = existsSync(localDir)
+    ? (await readdir(localDir)).filter(name => name.startsWith('opensearch-'))
+    : [];
+  if (!distName) throw `Failed to find the distribution of OpenSearch in ${localDir}`;
+
+  return path.join(localDir, distName);
+};
+
+const findPluginZip = async folder => {
+  // Some plugins are built by a sub-project
+  const candidates = [folder];
+  for (const entry of await readdir(folder, { withFileTypes: true })) {
+    if (entry.isDirectory() && !entry.name.startsWith('.')) candidates.push(path.join(folder, entry.name));
+  }
+
+  for (const candidate of candidates) {
+    const distDir = path.join(candidate, 'build/distributions');
+    if (!existsSync(distDir)) continue;
+
+    const zip = (await readdir(distDir)).find(name => /^opensearch-.*\.zip$/i.test(name));
+    if (zip) return path.join(distDir, zip);
+  }
+};
+
+/** Build OpenSearch plugins from their sources against an OpenSearch source
+ *
+ * The OpenSearch source is published to the local Maven repository first, so the plugins compile against it.
+ *
+ * @param {string} folder OpenSearch source
+ * @param {string} source Source OpenSearch was requested from
+ * @param {string[]} pluginSources Plugins as slug or slug=source
+ * @returns {Promise<string[]>} Locations of the plugin zips
+ */
+export const buildOpenSearchPlugins = async (folder, source, pluginSources) => {
+  const version = await getOpenSearchSourceVersion(folder);
+  const sourceBranch = isGitHubSource(source) ? getEngineSource('opensearch', source).branch : undefined;
+  // Plugins follow the numeric branches of OpenSearch
+  const defaultBranch = /^\d+\.(x|\d+)$/.test(sourceBranch) ? sourceBranch : undefined;
+
+  _info(`Publishing OpenSearch ${version}-SNAPSHOT to the local Maven repository...`);
+  try {
+    await _spawn([getGradleWrapper(folder), 'publishToMavenLocal', '-Dbuild.snapshot=true'], { cwd: folder });
+  } catch (ex) {
+    throw `Failed to publish OpenSearch from ${folder}`;
+  }
+
+  const zips = [];
+  for (const pluginSource of pluginSources) {
+    const [slug, requestedSource] = pluginSource.split('=');
+    const { user, repo, branch } = getEngineSource(slug, requestedSource, defaultBranch);
+    const dest = path.join(tmpDir, `opensearch-plugin-${slug}-${branch.replace(/[^a-z0-9.\-]+/ig, '-')}`);
+    await rm(dest, { force: true, recursive: true });
+
+    _info(`Cloning ${engineProjects[slug].name} from github:${user}/${repo}/${branch}`);
+    await _spawn(`git clone https://github.com/${user}/${repo}.git --depth 1 --branch ${branch} -- ${dest}`);
+
+    _info(`Building ${engineProjects[slug].name} for OpenSearch ${version}-SNAPSHOT...`);
+    try {
+      await _spawn(
+        [getGradleWrapper(dest), 'assemble', `-Dopensearch.version=${version}-SNAPSHOT`, '-Dbuild.snapshot=true'],
+        { cwd: dest },
+      );
+    } catch (ex) {
+      throw `Failed to build ${engineProjects[slug].name} in ${dest}`;
+    }
+
+    const zip = await findPluginZip(dest);
+    if (!zip) throw `Failed to find the plugin built from ${dest}`;
+    zips.push(zip);
+  }
+
+  return zips;
+};
 
 /** Download a release version of OpenSearch
  *
  * @param {string} version
  * @param {boolean} refreshDownloads
+ * @param {string} [artifactBaseUrl]
+ * @param {string} [distribution] Either bundle, with all the plugins, or min, with none
+ * @param {boolean} [skipChecksum] Download without verifying, to a file prefixed with unverified- that is not reused
  * @returns {Promise<string>}
  */
-export const downloadOpenSearch = async (version, refreshDownloads) => {
-  const dest = path.join(tmpDir, `opensearch-${version}.${EXTENSION}`);
+export const downloadOpenSearch = async (version, refreshDownloads, artifactBaseUrl, distribution = 'bundle', skipChecksum) => {
+  const product = distribution === 'min' ? 'opensearch-min' : 'opensearch';
+  const dest = path.join(tmpDir, `${product}-${version}-${PLATFORM}-${ARCH}.${EXTENSION}`);
   if (!refreshDownloads && existsSync(dest)) {
     _verbose2(`Using a previously downloaded ${basename(dest)}`);
+    await touchCacheEntry(dest);
     return dest;
   }
 
-  _verbose(`Downloading OpenSearch...`);
+  _verbose(`Downloading OpenSearch${distribution === 'min' ? ' min distribution' : ''}...`);
 
-  const url = /^1\.[0-2]\./.test(version)
-    ? `https://artifacts.opensearch.org/releases/bundle/opensearch/${version}/opensearch-${version}-${PLATFORM}-${ARCH}.${EXTENSION}`
-    : `https://ci.opensearch.org/ci/dbc/distribution-build-opensearch/${version}/latest/${PLATFORM}/${ARCH}/${TYPE}/dist/opensearch/opensearch-${version}-${PLATFORM}-${ARCH}.${EXTENSION}`;
+  const url = getArtifactURL(product, version, artifactBaseUrl);
+  if (skipChecksum) {
+    _warning(`Skipped verifying the checksum of ${basename(dest)}`);
+    return _download(url, path.join(tmpDir, `unverified-${basename(dest)}`));
+  }
 
-  return _download(url, dest);
+  return _download(url, dest, { checksumURL: `${url}.sha512` });
 };
 
 /** Configure certificates for OpenSearch
+ *
+ * Certificates are issued by the launcher's certificate authority, kept in the cache, unless a certificate authority
+ * and/or a node certificate are provided.
+ *
  * @param {string} folder
+ * @param {{opensearchHost: string, certSan: (string[]|undefined), certValidity: number, caValidity: number, caCert:
+ *   (string|undefined), caKey: (string|undefined), nodeCert: (string|undefined), nodeKey: (string|undefined)}} opts
  * @returns {Promise<Object>}
  */
-export const configureOpenSearchCerts = async (folder) => {
+export const configureOpenSearchCerts = async (folder, opts) => {
   const configDir = path.join(folder, 'config');
   const dest = path.join(configDir, 'config/certs');
 
@@ -46,107 +234,152 @@ export const configureOpenSearchCerts = async (folder) => {
   await mkdir(dest, { recursive: true });
 
   const rooCACert = path.join(dest, 'root-ca.pem');
-  const rooCAKey = path.join(dest, 'root-ca-key.pem');
-  const adminKeyTemp = path.join(dest, 'admin-key-temp.pem');
-  const adminCSR = path.join(dest, 'admin.csr');
   const adminKey = path.join(dest, 'admin-key.pem');
   const adminCert = path.join(dest, 'admin.pem');
-  const adminCertSubject = `/C=US/ST=WASHINGTON/L=SEATTLE/O=ORG/OU=UNIT/CN=A`;
-  const nodeKeyTemp = path.join(dest, 'node-key-temp.pem');
-  const nodeCSR = path.join(dest, 'node.csr');
   const nodeKey = path.join(dest, 'node-key.pem');
   const nodeCert = path.join(dest, 'node.pem');
-  const nodeCertSubject = `/C=US/ST=WASHINGTON/L=SEATTLE/O=ORG/OU=UNIT/CN=N`;
-
-  await _exec(`openssl genrsa -out ${rooCAKey} 2048`);
-  await _exec(`openssl req -new -x509 -sha256 -key ${rooCAKey} -subj "/C=US/ST=WASHINGTON/L=SEATTLE/O=ORG/OU=UNIT/CN=ROOT" -out ${rooCACert} -days 30`);
 
-  await _exec(`openssl genrsa -out ${adminKeyTemp} 2048`);
-  await _exec(`openssl pkcs8 -inform PEM -outform PEM -in ${adminKeyTemp} -topk8 -nocrypt -v1 PBE-SHA1-3DES -out ${adminKey}`);
-  await _exec(`openssl req -new -key ${adminKey} -subj "${adminCertSubject}" -out ${adminCSR}`);
-  await _exec(`openssl x509 -req -in ${adminCSR} -CA ${rooCACert} -CAkey ${rooCAKey} -CAcreateserial -sha256 -out ${adminCert} -days 30`);
+  const ca = await getCertificateAuthority(opts);
+  await copyCertificateFile(ca.cert, rooCACert);
 
-  await _exec(`openssl genrsa -out ${nodeKeyTemp} 2048`);
-  await _exec(`openssl pkcs8 -inform PEM -outform PEM -in ${nodeKeyTemp} -topk8 -nocrypt -v1 PBE-SHA1-3DES -out ${nodeKey}`);
-  await _exec(`openssl req -new -key ${nodeKey} -subj "${nodeCertSubject}" -out ${nodeCSR}`);
-  await _exec(`openssl x509 -req -in ${nodeCSR} -CA ${rooCACert} -CAkey ${rooCAKey} -CAcreateserial -sha256 -out ${nodeCert} -days 30`);
+  let adminDN;
+  // Without the key of a provided certificate authority, no admin certificate can be issued
+  if (ca.key) {
+    await issueCertificate({ ca, subject: adminCertSubject, cert: adminCert, key: adminKey, days: opts.certValidity });
+    adminDN = toDistinguishedName(adminCertSubject);
+  }
 
-  await Promise.all([rm(adminKeyTemp), rm(adminCSR), rm(nodeKeyTemp), rm(nodeCSR)]);
+  let nodeDN;
+  if (opts.nodeCert) {
+    await copyCertificateFile(opts.nodeCert, nodeCert);
+    await copyCertificateFile(opts.nodeKey, nodeKey);
+    nodeDN = await getCertificateSubject(nodeCert);
+  } else {
+    await issueCertificate({
+      ca,
+      subject: nodeCertSubject,
+      cert: nodeCert,
+      key: nodeKey,
+      days: opts.certValidity,
+      altNames: getSubjectAltNames(opts.opensearchHost, opts.certSan),
+    });
+    nodeDN = toDistinguishedName(nodeCertSubject);
+  }
 
   return {
     rooCACert: path.relative(configDir, rooCACert),
-    rooCAKey: path.relative(configDir, rooCAKey),
-    adminKey: path.relative(configDir, adminKey),
-    adminCert: path.relative(configDir, adminCert),
-    adminCertSubject: adminCertSubject
-      .replace(/\//g, ',')
-      .replace(/^,+/, ''),
+    adminKey: adminDN && path.relative(configDir, adminKey),
+    adminCert: adminDN && path.relative(configDir, adminCert),
+    adminCertSubject: adminDN,
     nodeKey: path.relative(configDir, nodeKey),
     nodeCert: path.relative(configDir, nodeCert),
-    nodeCertSubject: nodeCertSubject
-      .replace(/\//g, ',')
-      .replace(/^,+/, ''),
+    nodeCertSubject: nodeDN,
   };
 };
 
+/** Get the heap size OpenSearch is configured to use, working out what auto stands for
+ *
+ * @param {Object} opts
+ * @param {string} [opts.opensearchHeap] Heap size, e.g. 4g, or auto to use half of the RAM
+ * @returns {string|undefined} A size like 4g, or undefined to leave the default of OpenSearch
+ */
+export const getOpenSearchHeap = opts => {
+  if (opts.opensearchHeap !== 'auto') return opts.opensearchHeap;
+
+  const totalMemory = os.totalmem() / (1024 * 1024 * 1024);
+  // Giving JVM 50% of the RAM, staying below the limit for compressed object pointers
+  return `${Math.min(Math.max(Math.floor(totalMemory / 2), 1), 31)}g`;
+};
+
+/** Configure the JVM of OpenSearch
+ *
+ * Options are written to a drop-in file in jvm.options.d, which the JVM reads after jvm.options, leaving the shipped
+ * defaults untouched.
+ *
+ * @param {string} folder
+ * @param {Object} opts
+ * @param {string} [opts.opensearchHeap] Heap size, e.g. 4g, or auto to use half of the RAM
+ * @param {string[]} [opts.opensearchJvmOpt] Additional JVM options
+ * @returns {Promise<void>}
+ */
+export const configureOpenSearchJvm = async (folder, opts) => {
+  const dropInDir = path.join(folder, 'config/jvm.options.d');
+  const dropInFile = path.join(dropInDir, 'osd-launcher.options');
+  const jvmOptions = [];
+
+  const heap = getOpenSearchHeap(opts);
+  if (heap) {
+    _notice(`Configuring OpenSearch to use ${heap} of heap`);
+    jvmOptions.push(`-Xms${heap}`, `-Xmx${heap}`);
+  }
+
+  if (opts.opensearchJvmOpt?.length) jvmOptions.push(...opts.opensearchJvmOpt);
+
+  await rm(dropInFile, { force: true });
+  if (jvmOptions.length === 0) return;
+
+  _verbose(`Adding JVM options to ${dropInFile}`);
+  await mkdir(dropInDir, { recursive: true });
+  await writeFile(dropInFile, jvmOptions.join('\n') + '\n', 'utf8');
+};
+
 /** Configure OpenSearch
  *
  * @param {string} folder
  * @param {{maps: (string|boolean), mlCommons: (string|boolean), notifications: (string|boolean), observability:
  *   (string|boolean), queryWorkbench: (string|boolean), reporting: (string|boolean), searchRelevance:
  *   (string|boolean), securityAnalytics: (string|boolean), ganttChart: (string|boolean), security: (string|boolean),
- *   plugins: (string|boolean)}} opts
+ *   plugins: (string|boolean), opensearchSetting: (string[]|undefined), securityConfig: (string|undefined)}} opts
  * @returns {Promise<void>}
  */
 export const configureOpenSearch = async (folder, opts) => {
   _verbose(`Configuring OpenSearch in ${folder} ...`);
   const configFile = path.join(folder, 'config/opensearch.yml');
-  const certs = await configureOpenSearchCerts(folder);
-  await _deleteFromFile(
-    configFile,
-    ['network.host', 'discovery.type', 'cluster.routing.allocation.disk.threshold_enabled'],
-  );
-
-  const configParams = [
-    `network.host: ${opts.opensearchHost}`,
-    `http.port: ${opts.opensearchPort}`,
-    'discovery.type: single-node',
-    'cluster.routing.allocation.disk.threshold_enabled: false',
-  ];
+  const certs = await configureOpenSearchCerts(folder, opts);
+  const settings = {
+    'network.host': opts.opensearchHost,
+    'http.port': Number(opts.opensearchPort),
+    'transport.port': opts.opensearchTransportPort ? Number(opts.opensearchTransportPort) : null,
+    'discovery.type': 'single-node',
+    'cluster.routing.allocation.disk.threshold_enabled': false,
+    'path.data': null,
+    'path.logs': null,
+  };
+
+  let hasData = false;
+  if (opts.dataDir) {
+    const { data, logs } = getDataPaths(opts.dataDir).opensearch;
+    hasData = existsSync(path.join(data, 'nodes'));
+    await mkdir(data, { recursive: true });
+    await mkdir(logs, { recursive: true });
+    Object.assign(settings, { 'path.data': data, 'path.logs': logs });
+  }
 
   if (existsSync(path.join(folder, 'plugins/opensearch-security'))) {
     _verbose(`Configuring OpenSearch security...`);
-    configParams.push(
-      `plugins.security.ssl.transport.pemcert_filepath: ${certs.nodeCert}`,
-      `plugins.security.ssl.transport.pemkey_filepath: ${certs.nodeKey}`,
-      `plugins.security.ssl.transport.pemtrustedcas_filepath: ${certs.rooCACert}`,
-      `plugins.security.ssl.transport.enforce_hostname_verification: false`,
-      `plugins.security.ssl.http.enabled: true`,
-      `plugins.security.ssl.http.pemcert_filepath: ${certs.nodeCert}`,
-      `plugins.security.ssl.http.pemkey_filepath: ${certs.nodeKey}`,
-      `plugins.security.ssl.http.pemtrustedcas_filepath: ${certs.rooCACert}`,
-      `plugins.security.allow_default_init_securityindex: true`,
-      `plugins.security.authcz.admin_dn:`,
-      `  - '${certs.adminCertSubject}'`,
-      `plugins.security.nodes_dn:`,
-      `  - '${certs.nodeCertSubject}'`,
-      `plugins.security.audit.type: internal_opensearch`,
-      `plugins.security.enable_snapshot_restore_privilege: true`,
-      `plugins.security.check_snapshot_restore_write_privileges: true`,
-      `plugins.security.restapi.roles_enabled: ["all_access", "security_rest_api_access"]`,
-    );
+    Object.assign(settings, {
+      'plugins.security.ssl.transport.pemcert_filepath': certs.nodeCert,
+      'plugins.security.ssl.transport.pemkey_filepath': certs.nodeKey,
+      'plugins.security.ssl.transport.pemtrustedcas_filepath': certs.rooCACert,
+      'plugins.security.ssl.transport.enforce_hostname_verification': false,
+      'plugins.security.ssl.http.enabled': true,
+      'plugins.security.ssl.http.pemcert_filepath': certs.nodeCert,
+      'plugins.security.ssl.http.pemkey_filepath': certs.nodeKey,
+      'plugins.security.ssl.http.pemtrustedcas_filepath': certs.rooCACert,
+      'plugins.security.allow_default_init_securityindex': true,
+      'plugins.security.authcz.admin_dn': certs.adminCertSubject ? [certs.adminCertSubject] : [],
+      'plugins.security.nodes_dn': [certs.nodeCertSubject],
+      'plugins.security.audit.type': 'internal_opensearch',
+      'plugins.security.enable_snapshot_restore_privilege': true,
+      'plugins.security.check_snapshot_restore_write_privileges': true,
+      'plugins.security.restapi.roles_enabled': ['all_access', 'security_rest_api_access'],
+    });
 
     if (opts.security !== true) {
-      configParams.push(`plugins.security.disabled: true`);
+      settings['plugins.security.disabled'] = true;
     } else {
       const securityConfigDir = path.join(folder, 'config', 'opensearch-security');
-      const hash = await bcrypt({
-        password: opts.password,
-        salt: getRandomValues(new Uint8Array(16)),
-        costFactor: 12,
-        version: '2y',
-        outputType: 'encoded',
-      });
+      const hash = await hashPassword(opts.password);
 
       await mkdir(securityConfigDir, { recursive: true });
       await writeFile(
@@ -166,19 +399,29 @@ export const configureOpenSearch = async (folder, opts) => {
       await _changeInFile(path.join(securityConfigDir, 'config.yml'), {
         'dynamic:': `  dynamic:\n    kibana:\n      server_username: "${opts.username}"`
       });
+
+      if (opts.securityConfig) await applySecurityConfig(securityConfigDir, await loadSecurityConfig(opts.securityConfig));
+
+      // The files only initialize the security index, which is kept with the rest of the data
+      if (hasData)
+        _notice(`Keeping the security index in ${opts.dataDir}; users and passwords of the previous launch remain in effect`);
     }
   }
 
+  // Snapshots of all deployments share a repository, so they can be restored into another
+  const snapshotDir = getSnapshotDir();
+  await mkdir(snapshotDir, { recursive: true });
+  settings['path.repo'] = [snapshotDir];
   if (existsSync(path.join(folder, 'plugins/opensearch-index-management'))) {
-    configParams.push(`path.repo: [${os.tmpdir()}]`);
+    settings['path.repo'].push(os.tmpdir());
   }
 
   if (existsSync(path.join(folder, 'plugins/opensearch-alerting'))) {
-    configParams.push('plugins.destination.host.deny_list: ["10.0.0.0/8", "127.0.0.1"]');
+    settings['plugins.destination.host.deny_list'] = ['10.0.0.0/8', '127.0.0.1'];
   }
 
   if (existsSync(path.join(folder, 'plugins/opensearch-sql'))) {
-    configParams.push('script.context.field.max_compilations_rate: 1000/1m');
+    settings['script.context.field.max_compilations_rate'] = '1000/1m';
   }
 
   if (existsSync(path.join(folder, 'plugins/opensearch-performance-analyzer'))) {
@@ -191,84 +434,133 @@ export const configureOpenSearch = async (folder, opts) => {
     }
   }
 
-  await _appendToFile(configFile, configParams);
+  // Settings given by the user win over the launcher's own
+  await mergeYamlSettings(configFile, [settings, ...(opts.opensearchSetting ?? [])]);
 
-  /* ToDo: Expose to CLI
-  const totalMemory = os.totalmem() / (1024 * 1024 * 1024);
-  // Giving JVM 50% of the RAM
-  const jvmMemory = Math.max(Math.floor(totalMemory / 2), 4);
-
-  _notice(`Configuring OpenSearch to use ${jvmMemory}GB of memory`);
-  await _changeInFile(path.join(folder, 'config/jvm.options'), {
-    '-Xms1g': `-Xms${jvmMemory}g`,
-    '-Xmx1g': `-Xmx${jvmMemory}g`,
-  });
-   */
+  await configureOpenSearchJvm(folder, opts);
 };
 
-/** Check OpenSearch health
- * @returns {Promise<boolean|undefined>}
+/** Install and remove OpenSearch plugins
+ *
+ * Plugins are removed before any are installed, so a plugin of the distribution can be replaced with a local build.
+ *
+ * @param {string} folder
+ * @param {{opensearchPlugin: (string[]|undefined), removeOpensearchPlugin: (string[]|undefined)}} opts
+ * @returns {Promise<void>}
  */
-export const checkOpenSearchHealth = async (opts) => {
-  try {
-    let status;
-    if (opts.security === true) {
-      const agent = new Agent({
-        rejectUnauthorized: false,
-      });
+export const configureOpenSearchPlugins = async (folder, opts) => {
+  const executable = path.join(folder, 'bin', process.platform === 'win32' ? 'opensearch-plugin.bat' : 'opensearch-plugin');
+  // Official plugins can be named with or without their prefix
+  const getInstalledName = name => [name, `opensearch-${name}`]
+    .find(candidate => existsSync(path.join(folder, 'plugins', candidate)));
+
+  for (const name of opts.removeOpensearchPlugin ?? []) {
+    const installedName = getInstalledName(name);
+    if (!installedName) {
+      _warning(`The OpenSearch plugin ${name} is not installed`);
+      continue;
+    }
 
-      const json = await new Promise((resolve, reject) => {
-        get(`https://${opts.opensearchHost}:${opts.opensearchPort}/_cluster/health`, {
-          headers: {
-            Authorization: `Basic ${Buffer.from(`${opts.username}:${opts.password}`).toString('base64')}`,
-          }, agent,
-        }, response => {
-          if (response.statusCode !== 200) return reject(response.statusCode);
-
-          const contentType = response.headers?.['content-type'];
-          if (!contentType?.includes('application/json')) return reject(contentType);
-
-          const content = [];
-          response.on('data', chunk => content.push(chunk));
-          response.on('end', () => resolve(JSON.parse(content.join(''))));
-        }).on('error', err => {
-          reject(err);
-        });
-      });
+    _info(`Removing the OpenSearch plugin ${installedName}...`);
+    try {
+      await _spawn([executable, 'remove', installedName], { cwd: folder });
+    } catch (ex) {
+      throw `Failed to remove the OpenSearch plugin ${installedName}`;
+    }
+  }
 
-      status = json?.status;
-    } else {
-      const response = await fetch(`http://${opts.opensearchHost}:${opts.opensearchPort}/_cluster/health`);
+  for (const plugin of opts.opensearchPlugin ?? []) {
+    const isURL = /^[a-z]+:\/\//i.test(plugin);
+    const isZip = !isURL && /\.zip$/i.test(plugin);
+    if (isZip && !existsSync(path.resolve(plugin))) throw `Failed to find the OpenSearch plugin ${plugin}`;
+    if (!isURL && !isZip && getInstalledName(plugin)) {
+      _verbose2(`The OpenSearch plugin ${plugin} is already installed`);
+      continue;
+    }
 
-      const contentType = response?.headers?.get?.('content-type');
-      if (!contentType.includes('application/json')) return;
+    const source = isZip ? pathToFileURL(path.resolve(plugin)).href : plugin;
 
-      const json = await response.json();
-      status = json?.status;
+    _info(`Installing the OpenSearch plugin ${plugin}...`);
+    try {
+      await _spawn([executable, 'install', '--batch', source], { cwd: folder });
+    } catch (ex) {
+      throw `Failed to install the OpenSearch plugin ${plugin}`;
     }
+  }
+};
 
-    if (['green', 'yellow'].includes(status)) {
-      _ok(`\n\nOpenSearch is ${status}\n`);
-      return true;
-    }
+// Statuses of the cluster by how ready they are
+const clusterStatuses = ['red', 'yellow', 'green'];
 
-    _error(`\n\nOpenSearch is ${status}\n`);
-    return false;
+const explainUnassignedShard = async target => {
+  try {
+    const { json } = await sendRequest(`${target.url}/_cluster/allocation/explain`, { ...target, timeout: 10e3 });
+    if (!json?.index) return '';
+
+    const explanation = json.allocate_explanation ?? json.unassigned_info?.reason;
+    return `; e.g. the ${json.primary ? 'primary' : 'replica'} shard ${json.shard} of ${json.index}: ${explanation}`;
   } catch (ex) {
+    return '';
   }
 };
 
+/** Check OpenSearch health
+ *
+ * @param {Object} opts
+ * @param {string} [opts.waitFor] Status of the cluster to wait for, either green or yellow
+ * @returns {Promise<{ready: boolean, reason: (string|undefined)}>} The reason explains why it is not ready
+ */
+export const checkOpenSearchHealth = async (opts) => {
+  const target = getOpenSearchTarget(opts);
+  const waitFor = opts.waitFor ?? 'yellow';
+
+  let response;
+  try {
+    response = await sendRequest(`${target.url}/_cluster/health`, { ...target, timeout: 10e3 });
+  } catch (ex) {
+    return { ready: false, reason: describeRequestError('OpenSearch', target.url, ex) };
+  }
+
+  if (response.statusCode === 401)
+    return { ready: false, reason: `OpenSearch rejected the credentials of ${opts.username} (401)` };
+
+  const { status, unassigned_shards: unassignedShards } = response.json ?? {};
+  if (!clusterStatuses.includes(status))
+    return { ready: false, reason: `OpenSearch is not ready (${getErrorReason(response)})` };
+
+  if (clusterStatuses.indexOf(status) >= clusterStatuses.indexOf(waitFor)) {
+    _ok(`\n\nOpenSearch is ${status}\n`);
+    return { ready: true };
+  }
+
+  let reason = `OpenSearch is ${status} while waiting for ${waitFor}, with ${unassignedShards} unassigned shards`;
+  if (unassignedShards) reason += await explainUnassignedShard(target);
+  return { ready: false, reason };
+};
+
+/** Get the command that runs OpenSearch
+ *
+ * @param {string} folder
+ * @returns {{command: string, args: string[]}}
+ */
+export const getOpenSearchCommand = folder => {
+  const executable = process.platform === 'win32' ? 'opensearch.bat' : 'opensearch';
+  return { command: path.join(folder, 'bin', executable), args: [] };
+};
+
 /** Run OpenSearch
  *
  * @param {string} folder
  * @param {number} timeoutSeconds
+ * @param {Object} opts
+ * @param {string} logFile File to capture the output in
  * @returns {Promise<ChildProcess|undefined>}
  */
-export const runOpenSearch = async (folder, timeoutSeconds, opts) => {
+export const runOpenSearch = async (folder, timeoutSeconds, opts, logFile) => {
   let closed = false;
   let running = false;
-  const executable = process.platform === 'win32' ? 'opensearch.bat' : 'opensearch';
-  const child = spawn(path.join(folder, 'bin', executable), {
+  const { command, args } = getOpenSearchCommand(folder);
+  const child = spawn(command, args, {
     cwd: folder, stdio: ['ignore', 'pipe', 'pipe'],
     detached: true,
   })
@@ -279,29 +571,30 @@ export const runOpenSearch = async (folder, timeoutSeconds, opts) => {
       }
     });
 
-  child.stdout.pipe(process.stdout);
-  child.stderr.pipe(process.stderr);
+  // Recorded right away, so that stopping the launcher while it starts, or restarts, also stops it
+  recordProcess(child, 'OpenSearch');
+  const output = captureOutput(child, 'opensearch', logFile);
 
   const timerStart = Date.now();
+  const interval = (opts.pollInterval ?? 5) * 1e3;
   do {
     const tryStart = Date.now();
-    if (await checkOpenSearchHealth(opts)) {
+    const { ready, reason } = await checkOpenSearchHealth(opts);
+    if (ready) {
       running = true;
-      child.stdout.unpipe(process.stdout);
-      child.stderr.unpipe(process.stderr);
-      recordProcess(child);
+      output.stopEcho();
       return child;
     }
 
     if (closed || Date.now() - timerStart > timeoutSeconds * 1e3) {
-      child.kill('SIGTERM');
-      child.unref();
-      _error(`\n\nTimeout waiting for OpenSearch to stabilize\n`);
+      // Stopped through its record, which signals the whole process group rather than only the script started
+      await stopSubprocess('OpenSearch');
+      if (!closed) _error(`\n\nTimeout waiting for OpenSearch to stabilize after ${timeoutSeconds}s: ${reason}\n`);
       return;
     }
 
     _notice(`\n\nWaiting for OpenSearch to stabilize (${Math.floor((timeoutSeconds * 1e3 - Date.now() + timerStart) / 1e3)}s)\n`);
-    await setTimeout(5000 - Date.now() + tryStart);
+    await setTimeout(interval - Date.now() + tryStart);
   } while (true);
 };
 
@@ -316,24 +609,74 @@ export const runOpenSearch = async (folder, timeoutSeconds, opts) => {
  *   plugins: (string|boolean)}} opts
  * @returns {Promise<string|undefined>}
  */
-export const prepareOpenSearch = async ({ destination, opensearchVersion, refreshDownloads, ...opts }) => {
-  if (!isVersion(opensearchVersion)) {
+export const prepareOpenSearch = async ({
+  destination,
+  opensearchVersion,
+  opensearchDistribution,
+  refreshDownloads,
+  artifactBaseUrl,
+  ...opts
+}) => {
+  let version;
+  let archive;
+  let dirSuffix;
+  let useExisting;
+  if (isVersion(opensearchVersion)) {
+    version = opensearchVersion;
+  } else if (isArchive(opensearchVersion)) {
+    archive = getArchivePath(opensearchVersion);
+    version = getArchiveVersion(opensearchVersion);
+  } else if (isGitHubSource(opensearchVersion)) {
+    dirSuffix = opensearchVersion
+      .replace(/^github:(\/\/)?/i, '')
+      .replace(/[^a-z0-9.\-]+/ig, '-')
+      .toLowerCase();
+  } else if (opensearchVersion && existsSync(opensearchVersion)) {
+    useExisting = path.resolve(opensearchVersion);
+    dirSuffix = 'local';
+  } else {
     _warning(`Skipped preparing OpenSearch as no version was specified!`);
     return;
   }
 
-  _info(`Preparing OpenSearch v${opensearchVersion}...`);
+  if (archive) _info(`Preparing OpenSearch from ${archive}...`);
+  else if (version) _info(`Preparing OpenSearch v${version}...`);
+  else _info(`Preparing OpenSearch from ${useExisting ?? opensearchVersion}...`);
 
   const startTime = Date.now();
-  const osDir = path.join(destination, `OpenSearch-v${opensearchVersion}`);
-  const archive = await downloadOpenSearch(opensearchVersion, refreshDownloads);
-
-  try {
-    _unarchive(archive, osDir);
-  } catch (ex) {
-    throw `The downloaded OpenSearch artifact appears to have been corrupted. Re-run the program with '--refresh-downloads' to download a fresh copy.`;
+  const osDir = path.join(destination, version ? `OpenSearch-v${version}` : `OpenSearch${dirSuffix ? `-${dirSuffix}` : ''}`);
+  const plugins = [...(opts.opensearchPlugin ?? [])];
+
+  if (dirSuffix) {
+    const sourceDir = useExisting ?? await cloneOpenSearch(opensearchVersion);
+    const distDir = await buildOpenSearch(sourceDir);
+
+    _verbose(`Copying the distribution of OpenSearch to ${osDir}`);
+    await rm(osDir, { force: true, recursive: true });
+    await cp(distDir, osDir, { recursive: true, verbatimSymlinks: true });
+
+    if (opts.opensearchPluginSource?.length)
+      plugins.unshift(...await buildOpenSearchPlugins(sourceDir, opensearchVersion, opts.opensearchPluginSource));
+  } else {
+    if (!archive)
+      archive = await downloadOpenSearch(version, refreshDownloads, artifactBaseUrl, opensearchDistribution, opts.skipChecksum);
+
+    try {
+      _unarchive(archive, osDir);
+    } catch (ex) {
+      if (isArchive(opensearchVersion)) throw `Failed to unpack ${archive}: ${ex}`;
+      throw `The downloaded OpenSearch artifact appears to have been corrupted. Re-run the program with '--refresh-downloads' to download a fresh copy.`;
+    } finally {
+      // Unverified downloads are never reused
+      if (!isArchive(opensearchVersion) && basename(archive).startsWith('unverified-'))
+        await rm(archive, { force: true });
+    }
   }
 
+  await configureOpenSearchPlugins(osDir, { ...opts, opensearchPlugin: plugins });
+  if (opts.security === true && !existsSync(path.join(osDir, 'plugins/opensearch-security')))
+    throw `The Security plugin is not installed in OpenSearch; use --no-security, or install it with --opensearch-plugin`;
+
   await configureOpenSearch(osDir, opts);
 
   _ok(`OpenSearch took ${Math.round((Date.now() - startTime) / 1000)}s to prepare.`);
@@ -0,0 +1,286 @@
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import { get, tmpDir } from './config.js';
+import { camelCase, getArchivePath, isArchive, isGitHubSource, isVersion, isVersionAlias } from './utils.js';
+import { sampleDatasets } from './seed.js';
+import { systemServiceDir } from './service.js';
+
+const localArchive = value => {
+  const archive = resolve(getArchivePath(value));
+  if (existsSync(archive)) return archive;
+
+  throw new InvalidArgumentError(`The archive ${archive} does not exist.`);
+};
+
+export const gitOrVersionOrDirectory = input => {
+  const value = input?.trim?.();
+  if (isVersion(value) || isVersionAlias(value)) return value;
+  if (isArchive(value)) return localArchive(value);
+  if (isGitHubSource(value)) return value;
+  if (existsSync(value)) return value;
+
+  if (/[:\/]/.test(value))
+    throw new InvalidArgumentError(
+      'The value needs to be a version (e.g. 2.15.0 or 2.x) or in the form of github:user/repo/branch.');
+
+  return `github://${value}`;
+};
+
+export const nonNegativeInteger = input => {
+  const value = input?.trim?.();
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+  throw new InvalidArgumentError('The value needs to be a non-negative integer.');
+};
+
+export const positiveInteger = input => {
+  const value = input?.trim?.();
+  if (/^[1-9]\d*$/.test(value)) return parseInt(value, 10);
+
+  throw new InvalidArgumentError('The value needs to be a positive integer.');
+};
+
+export const port = input => {
+  const value = input?.trim?.();
+  if (value === 'auto' || (/^\d+$/.test(value) && value > 0 && value < 65536)) return value;
+
+  throw new InvalidArgumentError('The value needs to be a port number or auto.');
+};
+
+export const duration = input => {
+  const match = /^(\d+)([hdw])$/i.exec(input?.trim?.());
+  if (match) return parseInt(match[1], 10) * { h: 36e5, d: 864e5, w: 6048e5 }[match[2].toLowerCase()];
+
+  throw new InvalidArgumentError('The value needs to be a number of hours, days or weeks (e.g. 12h, 30d or 2w).');
+};
+
+export const heapSize = input => {
+  const value = input?.trim?.();
+  if (value === 'auto' || /^\d+[kmg]$/i.test(value)) return value;
+
+  throw new InvalidArgumentError('The value needs to be a size (e.g. 512m or 4g) or auto.');
+};
+
+export const collect = (value, previous) => [...(previous ?? []), value];
+
+export const resolvePath = value => {
+  const destination = value?.trim?.();
+  return resolve(destination);
+};
+
+const sampleDataset = (input, previous) => {
+  const value = input?.trim?.();
+  if (sampleDatasets.includes(value)) return collect(value, previous);
+
+  throw new InvalidArgumentError(`Allowed choices are ${sampleDatasets.join(', ')}.`);
+};
+
+// Same arguments as Command.option
+const option = (flags, description, parser, defaultValue) => {
+  const created = new Option(flags, description);
+  if (typeof parser === 'function') created.argParser(parser);
+  else defaultValue = parser;
+
+  return defaultValue === undefined ? created : created.default(defaultValue);
+};
+
+const createPluginOptions = () => get('projects')
+  .filter(({ slug }) => slug !== 'dashboards')
+  .flatMap(({ slug, name }) => [
+    new Option(`--${slug}-source <repo>`, `${name} plugin source to use`)
+      .implies({ [camelCase(`${slug}`)]: true })
+      .hideHelp(),
+    ...slug === 'security' ? [] : [
+      new Option(`--no-${slug}`, `Prevent the inclusion of ${name} Dashboards plugin`).hideHelp(),
+    ],
+  ]);
+
+/** Create the options of a launch, shared by the command-line and launch()
+ *
+ * @returns {Option[]}
+ */
+export const createLaunchOptions = () => {
+  return [
+    ...createPluginOptions(),
+    option(
+      '-os, --opensearch-version <version|archive|repo|directory>',
+      'OpenSearch version to use\n<version>: use a released version, or the latest matching an alias like 2.x\n<archive>: use a local .tar.gz or .zip\n<repo>: clone a git repo/branch and build it\n<directory>: build existing code',
+      gitOrVersionOrDirectory,
+    ),
+    option(
+      '-osd, --dashboards-version <version|archive|repo|directory>',
+      'Dashboards version to use\n<version>: use a released version, or the latest matching an alias like 2.x\n<archive>: use a local .tar.gz or .zip\n<repo>: clone a git repo/branch/commit\n<directory>: configure and use existing code',
+      gitOrVersionOrDirectory,
+    ),
+    option('--profile <file>', 'Load options from a JSON5 profile; command-line options take precedence', resolvePath),
+    option(
+      '-d, --destination <path>',
+      'Location for deploying',
+      resolvePath,
+      process.cwd(),
+    ),
+    option('--no-plugins', 'Prevent installation of Dashboards plugins'),
+    new Option('--no-security', 'Disable the Security plugins in OpenSearch and Dashboards')
+      .conflicts(['securityVersion']),
+    option('--refresh-downloads', 'Re-download artifacts even if they are available in cache'),
+    option(
+      '--skip-checksum',
+      'Download artifacts without verifying their SHA-512 checksums, e.g. from a mirror that does not publish them; ' +
+      'such downloads are not cached',
+    ),
+    option('--artifact-base-url <url>', 'Base URL of a mirror to download release artifacts from'),
+    option('--cache-dir <path>', 'Location to cache downloads and clones in', resolvePath, tmpDir),
+    option(
+      '--opensearch-host <hostname|IP>',
+      'Hostname or IP address for OpenSearch to listen on',
+      '127.0.0.1',
+    ),
+    option('--opensearch-port <number|auto>', 'Port number for OpenSearch to listen on; auto picks a free one', port, '9200'),
+    option(
+      '--opensearch-transport-port <number|auto>',
+      'Port number for the transport of OpenSearch; auto picks a free one (default: the first free one from 9300 to 9400)',
+      port,
+    ),
+    option('--opensearch-heap <size|auto>', 'Heap size of OpenSearch (e.g. 4g); auto uses half of the RAM', heapSize),
+    option('--opensearch-jvm-opt <option>', 'Additional JVM option for OpenSearch; can be repeated', collect),
+    new Option('--opensearch-distribution <distribution>', 'Distribution of OpenSearch to download; min comes without plugins')
+      .choices(['bundle', 'min'])
+      .default('bundle'),
+    option(
+      '--opensearch-plugin <name|zip|url>',
+      'OpenSearch plugin to install by name, from a local zip or from a URL; can be repeated',
+      collect,
+    ),
+    option(
+      '--remove-opensearch-plugin <name>',
+      'OpenSearch plugin to remove from the distribution; can be repeated',
+      collect,
+    ),
+    option(
+      '--opensearch-plugin-source <plugin[=repo]>',
+      'OpenSearch plugin to build from its source when OpenSearch is built from source; can be repeated',
+      collect,
+    ),
+    option(
+      '--opensearch-setting <key=value>',
+      'Setting to merge into opensearch.yml; an empty value removes it; can be repeated',
+      collect,
+    ),
+    option(
+      '--dashboards-host <hostname|IP>',
+      'Hostname or IP address for Dashboards to listen on',
+      '0.0.0.0',
+    ),
+    option('--dashboards-port <number|auto>', 'Port number for Dashboards to listen on; auto picks a free one', port, '5601'),
+    option('--dashboards-tls', 'Serve Dashboards over HTTPS using a certificate issued by the certificate authority of OpenSearch'),
+    option(
+      '--dashboards-setting <key=value>',
+      'Setting to merge into opensearch_dashboards.yml; an empty value removes it; can be repeated',
+      collect,
+    ),
+    option('-u, --username <username>', 'Username to use if security is enabled', 'admin'),
+    option('-p, --password <password>', 'Password to use if security is enabled'),
+    option(
+      '--security-config <file>',
+      'JSON5 or YAML file of users, roles, role mappings, action groups and tenants to add when security is enabled',
+      resolvePath,
+    ),
+    option('--cert-san <name|IP>', 'Additional subject alternative name for the certificate of OpenSearch; can be repeated', collect),
+    option('--cert-validity <days>', 'Number of days the certificates of OpenSearch are valid for', positiveInteger, 365),
+    option('--ca-validity <days>', 'Number of days a new certificate authority of the launcher is valid for', positiveInteger, 3650),
+    option('--ca-cert <file>', 'Certificate authority to use instead of the one of the launcher', resolvePath),
+    option('--ca-key <file>', 'Private key of the certificate authority given with --ca-cert', resolvePath),
+    option('--node-cert <file>', 'Certificate for OpenSearch, issued by the certificate authority given with --ca-cert', resolvePath),
+    option('--node-key <file>', 'Private key of the certificate given with --node-cert', resolvePath),
+    option(
+      '--seed <dir|file>',
+      'Data, index templates, ingest pipelines and saved objects to load after launching; can be repeated',
+      (value, previous) => collect(resolvePath(value), previous),
+    ),
+    option(
+      '--sample-data <dataset>',
+      `Sample dataset of Dashboards to install after launching (${sampleDatasets.join(', ')}); can be repeated`,
+      sampleDataset,
+    ),
+    option(
+      '--data-dir <path>',
+      'Location to keep the data and logs of OpenSearch and Dashboards in, so they survive relaunches and upgrades',
+      resolvePath,
+    ),
+    option('-dev --no-build', 'Skip building Dashboards when cloned'),
+    option('--keep-running', 'Keep OpenSearch and Dashboards running in the foreground until interrupted'),
+    option('--opensearch-timeout <seconds>', 'Time to wait for OpenSearch to become ready', positiveInteger, 180),
+    option(
+      '--dashboards-timeout <seconds>',
+      'Time to wait for Dashboards to become ready (default: 600, or 1800 when building)',
+      positiveInteger,
+    ),
+    option('--poll-interval <seconds>', 'Time between checks of readiness', positiveInteger, 5),
+    new Option('--wait-for <status>', 'Status of the OpenSearch cluster that counts as ready')
+      .choices(['green', 'yellow'])
+      .default('yellow'),
+    option(
+      '--wait-for-plugin <id>',
+      'Dashboards plugin, by its id in /api/status (e.g. securityDashboards), that also needs to be available for ' +
+      'Dashboards to count as ready; can be repeated',
+      collect,
+    ),
+    option(
+      '--max-restarts <number>',
+      'Number of times a crashed process is restarted when using --keep-running',
+      nonNegativeInteger,
+      3,
+    ),
+    option('--skip-checks', 'Launch without first checking the tools, limits, disk space and memory it needs'),
+    option('--add-service', 'Create systemd services for OpenSearch and Dashboards'),
+    option('--service-dir <path>', 'Directory to write systemd services to', resolvePath, systemServiceDir),
+    option('--json', 'Print a summary of the launch as JSON to stdout, and log to stderr instead'),
+    option('--summary-file <path>', 'Write a summary of the launch as JSON to a file', resolvePath),
+    new Option('-q, --quiet', 'Only log warnings and errors').conflicts('verbose'),
+    option('--verbose', 'Log the details of every step'),
+  ];
+};
+
+/** Get the default options of a launch, the same as those of the command-line
+ *
+ * @returns {Object.<string, any>}
+ */
+export const getDefaultOptions = () => {
+  const command = new Command();
+  for (const created of createLaunchOptions()) command.addOption(created);
+
+  return command.opts();
+};
+
+/** Parse the options of a launch given to launch() the way the command-line parses its arguments
+ *
+ * Values that are not strings or numbers, like booleans and the objects of settings, are kept as they are. Repeatable
+ * options take an array, or a single value.
+ *
+ * @param {Object.<string, any>} options Camel-cased options
+ * @returns {Object.<string, any>}
+ */
+export const parseOptions = options => {
+  const known = new Map(createLaunchOptions().map(created => [created.attributeName(), created]));
+  const isParsable = value => typeof value === 'string' || typeof value === 'number';
+
+  const parsed = {};
+  for (const [key, value] of Object.entries(options)) {
+    const parseArg = known.get(key)?.parseArg;
+    if (!parseArg || (!isParsable(value) && !Array.isArray(value))) {
+      parsed[key] = value;
+      continue;
+    }
+
+    try {
+      parsed[key] = Array.isArray(value)
+        ? value.reduce((previous, item) => isParsable(item) ? parseArg(`${item}`, previous) : collect(item, previous), undefined)
+        : parseArg(`${value}`, undefined);
+    } catch (ex) {
+      throw `Invalid value for ${key}: ${ex.message ?? ex}`;
+    }
+  }
+
+  return parsed;
+};
@@ -0,0 +1,124 @@
+import net from 'node:net';
+import { _verbose } from './logging.js';
+
+// The range OpenSearch picks its transport port from when none is configured
+const transportPorts = [9300, 9400];
+
+const listen = (host, port) => new Promise((resolve, reject) => {
+  const server = net.createServer()
+    .once('error', reject)
+    .once('listening', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+
+  server.listen({ host, port, exclusive: true });
+});
+
+/** Check if a port can be listened on
+ *
+ * @param {string} host
+ * @param {number} port
+ * @returns {Promise<boolean>}
+ */
+export const isPortFree = async (host, port) => {
+  try {
+    await listen(host, port);
+    return true;
+  } catch (ex) {
+    if (ex.code === 'EADDRINUSE' || ex.code === 'EACCES') return false;
+    throw `Failed to check port ${port} on ${host}: ${ex.message ?? ex}`;
+  }
+};
+
+/** Find a free port, either in a range or any the system picks
+ *
+ * @param {string} host
+ * @param {number[]} [range] The first and last port to try
+ * @param {number[]} [excluded] Ports to skip, e.g. ones already picked
+ * @returns {Promise<number|undefined>}
+ */
+export const findFreePort = async (host, range, excluded = []) => {
+  if (!range) {
+    let port;
+    do {
+      port = await listen(host, 0);
+    } while (excluded.includes(port));
+
+    return port;
+  }
+
+  for (let port = range[0]; port <= range[1]; port++) {
+    if (!excluded.includes(port) && await isPortFree(host, port)) return port;
+  }
+};
+
+/** Get the ports of the components of a deployment
+ *
+ * @param {Object} opts Options or state of a deployment
+ * @param {{opensearch: boolean, dashboards: boolean}} components Which components to include
+ * @returns {{key: string, option: string, name: string, host: string}[]}
+ */
+const getPortOptions = (opts, { opensearch, dashboards }) => [
+  ...opensearch ? [
+    { key: 'opensearchPort', option: '--opensearch-port', name: 'OpenSearch', host: opts.opensearchHost },
+    {
+      key: 'opensearchTransportPort',
+      option: '--opensearch-transport-port',
+      name: 'the transport of OpenSearch',
+      host: opts.opensearchHost,
+    },
+  ] : [],
+  ...dashboards ? [
+    { key: 'dashboardsPort', option: '--dashboards-port', name: 'Dashboards', host: opts.dashboardsHost },
+  ] : [],
+];
+
+/** Make sure the ports of a deployment are free, picking the ones set to auto
+ *
+ * A transport port that is not set is picked from the range OpenSearch would use.
+ *
+ * @param {Object} opts Options of a launch, updated in place
+ * @param {{opensearch: boolean, dashboards: boolean}} components Which components are launched
+ * @returns {Promise<void>}
+ */
+export const allocatePorts = async (opts, components) => {
+  const ports = getPortOptions(opts, components);
+  const taken = ports.map(({ key }) => opts[key]).filter(port => port && port !== 'auto').map(Number);
+
+  for (const { key, option, name, host } of ports) {
+    if (opts[key] && opts[key] !== 'auto') continue;
+
+    const port = await findFreePort(host, opts[key] ? undefined : transportPorts, taken);
+    if (!port) throw `None of the ports ${transportPorts.join('-')} is free for ${name}; use ${option}`;
+
+    _verbose(`Picked port ${port} for ${name}`);
+    opts[key] = `${port}`;
+    taken.push(port);
+  }
+
+  await assertPortsFree(opts, components);
+};
+
+/** Make sure nothing else is listening on the ports of a deployment
+ *
+ * Otherwise, the components would fail to start, or worse, the health checks would reach whatever is listening.
+ *
+ * @param {Object} opts Options or state of a deployment
+ * @param {{opensearch: boolean, dashboards: boolean}} components Which components to check
+ * @returns {Promise<void>}
+ */
+export const assertPortsFree = async (opts, components) => {
+  const ports = getPortOptions(opts, components).filter(({ key }) => opts[key]);
+  const seen = new Map();
+
+  for (const { key, option, name, host } of ports) {
+    const port = Number(opts[key]);
+    if (seen.has(port)) throw `${seen.get(port)} and ${name} cannot both use port ${port}`;
+    seen.set(port, name);
+
+    if (!await isPortFree(host, port))
+      throw `Port ${port} on ${host} is already in use, so ${name} cannot listen on it; stop what is using it, ` +
+        `or choose another port with ${option} <number|auto>`;
+  }
+};
@@ -0,0 +1,125 @@
+import { writeFile } from 'node:fs/promises';
+import { stringify } from 'json11';
+import { readConfigFile } from './config.js';
+import { camelCase } from './utils.js';
+
+// Options that only make sense for a single invocation
+const excludedKeys = ['profile', 'version', 'help', 'summaryFile'];
+
+// Products that can have a section in the settings of a profile
+const settingsProducts = ['opensearch', 'dashboards'];
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+/** Load a launch profile
+ *
+ * Keys are the long names of command-line options, either as written on the command-line without the leading dashes
+ * (e.g. "opensearch-version") or camel-cased (e.g. "opensearchVersion"). Negatable options, like --no-security, use
+ * their positive name with a boolean value. Settings of the YAML files go in a "settings" section with an object for
+ * "opensearch" and/or "dashboards".
+ *
+ * @param {string} file
+ * @returns {Object.<string, any>}
+ */
+export const loadProfile = file => {
+  let profile;
+  try {
+    profile = readConfigFile(file);
+  } catch (ex) {
+    throw `Failed to read the profile ${file}: ${ex.message ?? ex}`;
+  }
+
+  if (!isObject(profile)) throw `The profile ${file} needs to contain an object`;
+
+  const { settings = {}, ...options } = profile;
+  if (!isObject(settings)) throw `The settings in the profile ${file} need to be an object`;
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(options)) {
+    normalized[camelCase(key.replace(/^-+/, ''))] = value;
+  }
+
+  for (const [product, productSettings] of Object.entries(settings)) {
+    if (!settingsProducts.includes(product)) throw `Unknown settings in profile ${file}: ${product}`;
+
+    const key = `${product}Setting`;
+    normalized[key] = [productSettings, ...[normalized[key] ?? []].flat()];
+  }
+
+  return normalized;
+};
+
+/** Apply a launch profile to the options of a command, without overriding values given on the command-line
+ *
+ * @param {Command} command
+ * @param {Object.<string, any>} profile
+ * @returns {void}
+ */
+export const applyProfile = (command, profile) => {
+  const options = new Map();
+  for (const option of command.options) {
+    const key = option.attributeName();
+    if (!excludedKeys.includes(key) && !options.has(key)) options.set(key, option);
+  }
+
+  for (const [key, value] of Object.entries(profile)) {
+    const option = options.get(key);
+    if (!option) throw `Unknown option in profile: ${key}`;
+
+    let parsedValue = value;
+    if (option.parseArg && (typeof value === 'string' || typeof value === 'number')) {
+      try {
+        parsedValue = option.parseArg(`${value}`, undefined);
+      } catch (ex) {
+        throw `Invalid value for ${key} in profile: ${ex.message ?? ex}`;
+      }
+    }
+
+    const source = command.getOptionValueSource(key);
+    if (source === 'cli' || source === 'env') {
+      // Repeatable options add to the values of the profile
+      const currentValue = command.getOptionValue(key);
+      if (Array.isArray(currentValue))
+        command.setOptionValueWithSource(key, [...[parsedValue].flat(), ...currentValue], source);
+      continue;
+    }
+
+    command.setOptionValueWithSource(key, parsedValue, 'config');
+
+    if (option.implied && parsedValue !== false) {
+      for (const [impliedKey, impliedValue] of Object.entries(option.implied)) {
+        if (command.getOptionValueSource(impliedKey) !== 'cli')
+          command.setOptionValueWithSource(impliedKey, impliedValue, 'implied');
+      }
+    }
+  }
+};
+
+/** Export the explicitly set options of a command as a launch profile
+ *
+ * With `all`, defaults and implied values are exported too, so a later release of the launcher with other defaults
+ * launches the same way, at the cost of also pinning machine-specific defaults like the destination.
+ *
+ * @param {Command} command
+ * @param {string} [file] File to write the profile to; the profile is printed if omitted
+ * @param {Object} [options]
+ * @param {boolean} [options.all] Export the resolved value of every option rather than only those explicitly set
+ * @returns {Promise<void>}
+ */
+export const exportProfile = async (command, file, { all = false } = {}) => {
+  const profile = {};
+  for (const option of command.options) {
+    const key = option.attributeName();
+    if (excludedKeys.includes(key) || key in profile) continue;
+
+    const value = command.getOptionValue(key);
+    const source = command.getOptionValueSource(key);
+    if (all ? value === undefined : source !== 'cli' && source !== 'config' && source !== 'env') continue;
+
+    profile[key] = value;
+  }
+
+  const content = stringify(profile, null, 2) + '\n';
+  if (file) await writeFile(file, content, { encoding: 'utf8', mode: 0o600 });
+  else process.stdout.write(content);
+};
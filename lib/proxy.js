@@ -0,0 +1,91 @@
+import { Agent, request as httpsRequest } from 'node:https';
+import { request as httpRequest } from 'node:http';
+import { connect } from 'node:tls';
+
+/** An HTTPS agent that tunnels connections through an HTTP(S) proxy using CONNECT
+ */
+class ProxyAgent extends Agent {
+  /**
+   * @param {URL} proxy
+   * @param {Object} [options] Options of https.Agent
+   */
+  constructor(proxy, options) {
+    super(options);
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    const { proxy } = this;
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const request = (proxy.protocol === 'https:' ? httpsRequest : httpRequest)({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers,
+    });
+
+    request.on('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        return callback(new Error(`Proxy ${proxy.host} refused to connect to ${target} with ${response.statusCode}`));
+      }
+
+      callback(null, connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+    request.on('error', callback);
+    request.end();
+  }
+}
+
+const getEnv = name => process.env[name.toLowerCase()] || process.env[name.toUpperCase()];
+
+const isLoopback = hostname => hostname === 'localhost' || hostname === '::1' || /^127\./.test(hostname);
+
+const isExcluded = url => {
+  const hostname = url.hostname.replace(/^\[|]$/g, '').toLowerCase();
+  // A proxy cannot reach what only listens on this machine
+  if (isLoopback(hostname)) return true;
+
+  const noProxy = getEnv('no_proxy');
+  if (!noProxy) return false;
+
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+  return noProxy
+    .split(/[\s,]+/)
+    .filter(entry => entry)
+    .some(entry => {
+      if (entry === '*') return true;
+
+      const [, entryHost, entryPort] = /^(.+?)(?::(\d+))?$/.exec(entry.toLowerCase());
+      if (entryPort && entryPort !== port) return false;
+
+      const domain = entryHost.replace(/^\*?\./, '');
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+};
+
+const agents = new Map();
+
+/** Get an agent honouring HTTPS_PROXY and NO_PROXY for a download
+ *
+ * Loopback hosts are never proxied.
+ *
+ * @param {string | URL} url
+ * @returns {Agent|undefined} A proxying agent, or undefined if the request should not be proxied
+ */
+export const getProxyAgent = url => {
+  const target = new URL(url);
+  const proxy = getEnv('https_proxy');
+  if (!proxy || target.protocol !== 'https:' || isExcluded(target)) return;
+
+  if (!agents.has(proxy)) agents.set(proxy, new ProxyAgent(new URL(proxy)));
+  return agents.get(proxy);
+};
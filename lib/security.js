@@ -0,0 +1,173 @@
+import path from 'node:path';
+import { readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { getRandomValues } from 'node:crypto';
+import { bcrypt } from 'hash-wasm';
+import { isMap, parse, parseDocument, YAMLMap } from 'yaml';
+import { readConfigFile } from './config.js';
+import { _verbose, addNonSecret, addSecret } from './logging.js';
+
+// Sections of a security config and the files and types of the Security plugin they are rendered into
+const sections = {
+  users: { file: 'internal_users.yml', type: 'internalusers', label: 'users' },
+  roles: { file: 'roles.yml', type: 'roles', label: 'roles' },
+  roles_mapping: { file: 'roles_mapping.yml', type: 'rolesmapping', label: 'role mappings' },
+  action_groups: { file: 'action_groups.yml', type: 'actiongroups', label: 'action groups' },
+  tenants: { file: 'tenants.yml', type: 'tenants', label: 'tenants' },
+};
+
+// Users created by the launcher itself
+const reservedUsers = ['admin'];
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/** Hash a password the way the Security plugin expects it
+ *
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const hashPassword = password => bcrypt({
+  password,
+  salt: getRandomValues(new Uint8Array(16)),
+  costFactor: 12,
+  version: '2y',
+  outputType: 'encoded',
+});
+
+const validateFields = (errors, where, entry, fields) => {
+  for (const [field, value] of Object.entries(entry)) {
+    const check = fields[field];
+    if (!check) errors.push(`${where}: unknown field '${field}'`);
+    else if (!check(value)) errors.push(`${where}: invalid value of '${field}'`);
+  }
+};
+
+const isString = value => typeof value === 'string';
+const isBoolean = value => typeof value === 'boolean';
+const isStringMap = value => isObject(value) && Object.values(value).every(isString);
+const isPermissionArray = patternsField => value => Array.isArray(value) && value.every(permission =>
+  isObject(permission) && isStringArray(permission[patternsField]) && isStringArray(permission.allowed_actions ?? []));
+
+const validators = {
+  users: (errors, name, user) => {
+    if (reservedUsers.includes(name)) errors.push(`users.${name}: the user is created by the launcher`);
+    if (!user.password && !user.hash) errors.push(`users.${name}: a password or hash is required`);
+    validateFields(errors, `users.${name}`, user, {
+      password: isString,
+      hash: isString,
+      backend_roles: isStringArray,
+      opendistro_security_roles: isStringArray,
+      attributes: isStringMap,
+      description: isString,
+    });
+  },
+  roles: (errors, name, role) => validateFields(errors, `roles.${name}`, role, {
+    cluster_permissions: isStringArray,
+    index_permissions: isPermissionArray('index_patterns'),
+    tenant_permissions: isPermissionArray('tenant_patterns'),
+    description: isString,
+    reserved: isBoolean,
+  }),
+  roles_mapping: (errors, name, mapping) => validateFields(errors, `roles_mapping.${name}`, mapping, {
+    users: isStringArray,
+    backend_roles: isStringArray,
+    hosts: isStringArray,
+    and_backend_roles: isStringArray,
+    description: isString,
+    reserved: isBoolean,
+  }),
+  action_groups: (errors, name, group) => {
+    if (!group.allowed_actions) errors.push(`action_groups.${name}: allowed_actions is required`);
+    validateFields(errors, `action_groups.${name}`, group, {
+      allowed_actions: isStringArray,
+      type: value => ['cluster', 'index', 'kibana'].includes(value),
+      description: isString,
+      reserved: isBoolean,
+    });
+  },
+  tenants: (errors, name, tenant) => validateFields(errors, `tenants.${name}`, tenant, {
+    description: isString,
+    reserved: isBoolean,
+  }),
+};
+
+/** Load and validate a security config
+ *
+ * The file, in JSON5 or YAML, can contain the sections "users", "roles", "roles_mapping", "action_groups" and
+ * "tenants", each an object keyed by name using the same fields as the matching file of the Security plugin. Users
+ * are given a plain-text password, or a bcrypt hash.
+ *
+ * @param {string} file
+ * @returns {Promise<Object.<string, Object>>}
+ */
+export const loadSecurityConfig = async file => {
+  let config;
+  try {
+    config = /\.ya?ml$/i.test(file) ? parse(await readFile(file, 'utf8')) : readConfigFile(file);
+  } catch (ex) {
+    throw `Failed to read the security config ${file}: ${ex.message ?? ex}`;
+  }
+
+  if (!isObject(config)) throw `The security config ${file} needs to contain an object`;
+
+  const errors = [];
+  for (const [section, entries] of Object.entries(config)) {
+    if (!sections[section]) {
+      errors.push(`unknown section '${section}'`);
+    } else if (!isObject(entries)) {
+      errors.push(`${section}: needs to be an object keyed by name`);
+    } else {
+      for (const [name, entry] of Object.entries(entries)) {
+        if (isObject(entry)) validators[section](errors, name, entry);
+        else errors.push(`${section}.${name}: needs to be an object`);
+      }
+    }
+  }
+
+  if (errors.length) throw `Invalid security config ${file}:\n  ${errors.join('\n  ')}`;
+
+  for (const [username, { password }] of Object.entries(config.users ?? {})) {
+    addSecret(password);
+    addNonSecret(username);
+  }
+
+  return config;
+};
+
+const mergeSecurityFile = async (file, type, entries) => {
+  const doc = parseDocument(existsSync(file) ? await readFile(file, 'utf8') : '');
+  if (!isMap(doc.contents)) doc.contents = new YAMLMap();
+  if (!doc.has('_meta')) doc.set('_meta', doc.createNode({ type, config_version: 2 }));
+
+  for (const [name, entry] of Object.entries(entries)) doc.set(name, doc.createNode(entry));
+
+  await writeFile(file, doc.toString({ lineWidth: 0 }), 'utf8');
+};
+
+/** Render a security config into the configuration files of the Security plugin
+ *
+ * Entries replace the ones with the same name, while the rest of the files is left alone.
+ *
+ * @param {string} securityConfigDir
+ * @param {Object.<string, Object>} config See loadSecurityConfig
+ * @returns {Promise<void>}
+ */
+export const applySecurityConfig = async (securityConfigDir, config) => {
+  for (const [section, entries] of Object.entries(config)) {
+    const { file, type, label } = sections[section];
+    const rendered = {};
+    for (const [name, entry] of Object.entries(entries)) {
+      if (section === 'users') {
+        const { password, hash, ...user } = entry;
+        rendered[name] = { hash: hash ?? await hashPassword(password), reserved: false, ...user };
+      } else {
+        rendered[name] = entry;
+      }
+    }
+
+    _verbose(`Adding ${Object.keys(rendered).length} ${label} to ${file}`);
+    await mergeSecurityFile(path.join(securityConfigDir, file), type, rendered);
+  }
+};
@@ -0,0 +1,242 @@
+import path from 'node:path';
+import { lstat, readdir, readFile } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { assertSuccess, getDashboardsTarget, getOpenSearchTarget, sendRequest } from './api.js';
+import { _error, _info, _ok, _verbose, _warning } from './logging.js';
+
+// Sample datasets that come with Dashboards
+export const sampleDatasets = ['ecommerce', 'flights', 'logs'];
+
+// Order in which the kinds of seed files are loaded, so that data goes through its templates and pipelines
+const kinds = ['template', 'pipeline', 'data', 'savedObjects'];
+
+const bulkActions = ['index', 'create', 'update', 'delete'];
+
+// Bulk requests are split to stay well under the default http.max_content_length of OpenSearch
+const maxBulkBytes = 10 * 1024 * 1024;
+
+const readLines = async file => (await readFile(file, 'utf8'))
+  .split(/\r?\n/)
+  .filter(line => line.trim());
+
+/** Tell what a seed file contains from its name, folder, or first line
+ *
+ * @returns {Promise<string|undefined>}
+ */
+const getSeedKind = async file => {
+  const name = path.basename(file).toLowerCase();
+  const folder = path.basename(path.dirname(file)).toLowerCase();
+
+  if (name.endsWith('.json')) {
+    if (name.endsWith('.template.json') || folder === 'templates') return 'template';
+    if (name.endsWith('.pipeline.json') || folder === 'pipelines') return 'pipeline';
+    return;
+  }
+
+  if (!name.endsWith('.ndjson')) return;
+
+  const [firstLine] = await readLines(file);
+  let first;
+  try {
+    first = JSON.parse(firstLine ?? '{}');
+  } catch (ex) {
+    return 'data';
+  }
+
+  // Exports of saved objects have a type, an id and attributes on every line but the summary at the end
+  if ((first?.type && first?.attributes) || first?.exportedCount !== undefined) return 'savedObjects';
+  return 'data';
+};
+
+const getSeedName = (file, kind) => path.basename(file)
+  .replace(new RegExp(`(\\.${kind})?\\.json$`, 'i'), '');
+
+const findSeedFiles = async location => {
+  const stats = await lstat(location).catch(() => undefined);
+  if (!stats) throw `Failed to find the seed ${location}`;
+  if (!stats.isDirectory()) return [location];
+
+  const files = [];
+  for (const name of (await readdir(location)).sort()) {
+    files.push(...await findSeedFiles(path.join(location, name)));
+  }
+
+  return files;
+};
+
+/** Group the actions of a bulk file, or plain documents to index into an index named after the file, into requests
+ *
+ * @returns {{path: string, bodies: string[]}}
+ */
+const getBulkRequests = async file => {
+  const lines = await readLines(file);
+
+  let isBulk = false;
+  try {
+    const first = JSON.parse(lines[0] ?? '{}');
+    const keys = Object.keys(first);
+    isBulk = keys.length === 1 && bulkActions.includes(keys[0]);
+  } catch (ex) {
+  }
+
+  const operations = [];
+  if (isBulk) {
+    for (let i = 0; i < lines.length; i++) {
+      const action = Object.keys(JSON.parse(lines[i]))[0];
+      operations.push(action === 'delete' ? lines[i] : `${lines[i]}\n${lines[++i] ?? ''}`);
+    }
+  } else {
+    operations.push(...lines.map(line => `{"index":{}}\n${line}`));
+  }
+
+  const bodies = [];
+  let body = '';
+  for (const operation of operations) {
+    if (body && body.length + operation.length > maxBulkBytes) {
+      bodies.push(body);
+      body = '';
+    }
+    body += `${operation}\n`;
+  }
+  if (body) bodies.push(body);
+
+  const index = path.basename(file).replace(/\.ndjson$/i, '');
+  return { path: isBulk ? '/_bulk' : `/${encodeURIComponent(index)}/_bulk`, bodies };
+};
+
+const seeders = {
+  template: async (file, { opensearch }) => {
+    const body = JSON.stringify(JSON.parse(await readFile(file, 'utf8')));
+    const name = getSeedName(file, 'template');
+    assertSuccess(await sendRequest(`${opensearch.url}/_index_template/${encodeURIComponent(name)}`, {
+      ...opensearch, method: 'PUT', headers: { 'Content-Type': 'application/json' }, body,
+    }));
+
+    return `Created the index template ${name}`;
+  },
+  pipeline: async (file, { opensearch }) => {
+    const body = JSON.stringify(JSON.parse(await readFile(file, 'utf8')));
+    const name = getSeedName(file, 'pipeline');
+    assertSuccess(await sendRequest(`${opensearch.url}/_ingest/pipeline/${encodeURIComponent(name)}`, {
+      ...opensearch, method: 'PUT', headers: { 'Content-Type': 'application/json' }, body,
+    }));
+
+    return `Created the ingest pipeline ${name}`;
+  },
+  data: async (file, { opensearch }) => {
+    const { path: bulkPath, bodies } = await getBulkRequests(file);
+
+    let succeeded = 0;
+    const errors = [];
+    for (const body of bodies) {
+      const json = assertSuccess(await sendRequest(`${opensearch.url}${bulkPath}?refresh=true`, {
+        ...opensearch, method: 'POST', headers: { 'Content-Type': 'application/x-ndjson' }, body,
+      }));
+
+      for (const item of json?.items ?? []) {
+        const { error } = Object.values(item)[0];
+        if (error) errors.push(error.reason ?? error.type);
+        else succeeded++;
+      }
+    }
+
+    if (errors.length) throw `${errors.length} of ${errors.length + succeeded} operations failed, e.g. ${errors[0]}`;
+    return `Indexed ${succeeded} documents`;
+  },
+  savedObjects: async (file, { dashboards }) => {
+    if (!dashboards) throw `Dashboards is not running`;
+
+    const boundary = `----osd-launcher-${randomBytes(8).toString('hex')}`;
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${path.basename(file)}"\r\n` +
+        `Content-Type: application/ndjson\r\n\r\n`),
+      await readFile(file),
+      Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]);
+
+    const json = assertSuccess(await sendRequest(`${dashboards.url}/api/saved_objects/_import?overwrite=true`, {
+      ...dashboards,
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'osd-xsrf': 'true' },
+      body,
+    }));
+
+    if (json?.errors?.length) {
+      const [{ type, id, error }] = json.errors;
+      throw `${json.errors.length} saved objects failed to import, e.g. ${type} ${id}: ${error?.message ?? error?.type}`;
+    }
+    return `Imported ${json?.successCount ?? 0} saved objects`;
+  },
+};
+
+/** Seed a launched deployment with data, index templates, ingest pipelines, saved objects and sample datasets
+ *
+ * Seeds are files, or directories searched recursively, recognized as:
+ *   - index templates: *.template.json, or *.json in a "templates" folder
+ *   - ingest pipelines: *.pipeline.json, or *.json in a "pipelines" folder
+ *   - saved objects: *.ndjson exports of Dashboards
+ *   - data: other *.ndjson files, either in the bulk format or with one document per line to index into an index
+ *     named after the file
+ *
+ * Templates and pipelines are applied before data is loaded, and a failure only affects its own file.
+ *
+ * @param {Object} opts
+ * @param {string[]} [opts.seed] Files and directories to seed from
+ * @param {string[]} [opts.sampleData] Sample datasets of Dashboards to install
+ * @param {boolean} opensearchRunning
+ * @param {boolean} dashboardsRunning
+ * @returns {Promise<number>} Number of seeds that failed
+ */
+export const seedDeployment = async (opts, opensearchRunning, dashboardsRunning) => {
+  const targets = {
+    opensearch: opensearchRunning && getOpenSearchTarget(opts),
+    dashboards: dashboardsRunning && getDashboardsTarget(opts),
+  };
+
+  const seeds = Object.fromEntries(kinds.map(kind => [kind, []]));
+  for (const location of opts.seed ?? []) {
+    for (const file of await findSeedFiles(location)) {
+      const kind = await getSeedKind(file);
+      if (kind) seeds[kind].push(file);
+      else _verbose(`Skipping ${file}, which is not a seed file`);
+    }
+  }
+
+  const total = Object.values(seeds).flat().length + (opts.sampleData?.length ?? 0);
+  if (total === 0) return 0;
+
+  _info(`Seeding the deployment...`);
+  let failures = 0;
+  const report = async (what, seed) => {
+    try {
+      _ok(`${what}: ${await seed()}`);
+    } catch (ex) {
+      failures++;
+      _error(`${what}: ${ex.message ?? ex}`);
+    }
+  };
+
+  for (const kind of kinds) {
+    for (const file of seeds[kind]) {
+      await report(file, () => {
+        if (kind !== 'savedObjects' && !targets.opensearch) throw `OpenSearch is not running`;
+        return seeders[kind](file, targets);
+      });
+    }
+  }
+
+  for (const dataset of opts.sampleData ?? []) {
+    await report(`Sample data ${dataset}`, async () => {
+      if (!targets.dashboards) throw `Dashboards is not running`;
+      assertSuccess(await sendRequest(`${targets.dashboards.url}/api/sample_data/${dataset}`, {
+        ...targets.dashboards, method: 'POST', headers: { 'osd-xsrf': 'true' },
+      }));
+      return `Installed`;
+    });
+  }
+
+  if (failures) _warning(`Failed to seed ${failures} of ${total}.`);
+  else _ok(`Seeded the deployment.`);
+
+  return failures;
+};
@@ -0,0 +1,182 @@
+import path from 'node:path';
+import os from 'node:os';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { existsSync, statSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { _exec } from './utils.js';
+import { _info, _ok, _verbose, _verbose2, _warning } from './logging.js';
+import { getComponents, loadDeploymentState } from './deployment.js';
+
+export const systemServiceDir = '/etc/systemd/system';
+const cliPath = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+const quote = value => /[\s"\\]/.test(value) ? `"${value.replace(/(["\\])/g, '\\$1')}"` : value;
+
+const isUserServiceDir = serviceDir => path.resolve(serviceDir).startsWith(os.homedir() + path.sep);
+
+/** Get the name of the systemd unit of a component of a deployment
+ *
+ * Deployments in different destinations often have folders of the same name, so a hash of the full path tells their
+ * units apart.
+ *
+ * @param {string} dir Folder of the component
+ * @returns {string}
+ */
+export const getUnitName = dir => {
+  const slug = path.basename(dir)
+    .toLowerCase()
+    .replace(/[^a-z0-9.\-]+/g, '-');
+  const hash = createHash('sha256').update(path.resolve(dir)).digest('hex').slice(0, 8);
+
+  return `osd-launcher-${slug}-${hash}.service`;
+};
+
+// Writing to the directory of system units takes sudo, while OpenSearch refuses to run as root, so the services run as
+// the user behind sudo, or else the owner of the deployment
+const getServiceUser = destination => {
+  const { SUDO_USER } = process.env;
+  if (SUDO_USER && SUDO_USER !== 'root') return SUDO_USER;
+
+  const { uid } = statSync(destination);
+  const user = uid === os.userInfo().uid ? os.userInfo().username : `${uid}`;
+  if (uid === 0) _warning(`The services will run as root, which OpenSearch refuses; launch into a folder of another user`);
+
+  return user;
+};
+
+const assertSystemd = () => {
+  if (process.platform !== 'linux') throw `Services can only be created on Linux systems using systemd`;
+};
+
+/** Render a systemd unit for a component of a deployment
+ *
+ * @param {Object} component
+ * @param {string} destination
+ * @param {Object} options
+ * @param {string} [options.after] Unit that needs to be ready before this one starts
+ * @param {string} [options.user] User to run the service as; user services run as their owner
+ * @returns {string}
+ */
+const renderUnit = (component, destination, { after, user }) => {
+  const { key, name, dir, version, timeout, getCommand } = component;
+  const { command, args, env } = getCommand();
+  const execStart = [path.isAbsolute(command) ? command : `/usr/bin/env ${command}`, ...args]
+    .map(quote)
+    .join(' ');
+  const readiness = [process.execPath, cliPath, 'wait-ready', key, '-d', destination]
+    .map(quote)
+    .join(' ');
+
+  const dependencies = after
+    ? [`Requires=${after}`, `After=network-online.target ${after}`]
+    : ['After=network-online.target'];
+
+  return [
+    '[Unit]',
+    `Description=${name} ${version} (osd-launcher)`,
+    'Wants=network-online.target',
+    ...dependencies,
+    '',
+    '[Service]',
+    'Type=simple',
+    ...(user ? [`User=${user}`] : []),
+    `WorkingDirectory=${quote(dir)}`,
+    ...Object.entries({ PATH: process.env.PATH, ...env }).map(([key, value]) => `Environment=${key}=${quote(value)}`),
+    `ExecStart=${execStart}`,
+    // The unit only becomes active once the component reports healthy
+    `ExecStartPost=${readiness}`,
+    `TimeoutStartSec=${timeout + 30}`,
+    'TimeoutStopSec=60',
+    'KillMode=mixed',
+    'SuccessExitStatus=143',
+    'Restart=on-failure',
+    'RestartSec=10',
+    'LimitNOFILE=65535',
+    'LimitNPROC=4096',
+    'LimitMEMLOCK=infinity',
+    '',
+    '[Install]',
+    `WantedBy=${user ? 'multi-user.target' : 'default.target'}`,
+    '',
+  ].join('\n');
+};
+
+/** Create systemd services for a deployment
+ *
+ * @param {string} destination
+ * @param {string} serviceDir
+ * @returns {Promise<string[]>} Names of the created units
+ */
+export const addServices = async (destination, serviceDir) => {
+  assertSystemd();
+
+  const state = await loadDeploymentState(destination);
+  const userLevel = isUserServiceDir(serviceDir);
+  const user = userLevel ? undefined : getServiceUser(destination);
+  const units = [];
+  let after;
+
+  await mkdir(serviceDir, { recursive: true });
+
+  for (const component of getComponents(state)) {
+    const unitName = getUnitName(component.dir);
+    const unitFile = path.join(serviceDir, unitName);
+
+    _verbose(`Writing ${component.name} service to ${unitFile}`);
+    await writeFile(unitFile, renderUnit(component, destination, { after, user }), 'utf8');
+
+    units.push(unitName);
+    if (component.key === 'opensearch') after = unitName;
+  }
+
+  const systemctl = userLevel ? 'systemctl --user' : 'systemctl';
+  _ok(`Created ${units.join(' and ')} in ${serviceDir}.`);
+  _verbose2(`To start them, run:\n  ${systemctl} daemon-reload\n  ${systemctl} enable --now ${units.join(' ')}`);
+
+  return units;
+};
+
+/** Stop and remove the systemd services of a deployment
+ *
+ * @param {string} destination
+ * @param {string} serviceDir
+ * @returns {Promise<void>}
+ */
+export const removeServices = async (destination, serviceDir) => {
+  assertSystemd();
+
+  const state = await loadDeploymentState(destination);
+  const userLevel = isUserServiceDir(serviceDir);
+  const systemctl = userLevel ? 'systemctl --user' : 'systemctl';
+
+  // Dashboards depends on OpenSearch, so it goes first
+  const units = getComponents(state)
+    .reverse()
+    .map(({ dir }) => getUnitName(dir))
+    .filter(unitName => existsSync(path.join(serviceDir, unitName)));
+
+  if (units.length === 0) {
+    _warning(`No services of the deployment in ${destination} were found in ${serviceDir}`);
+    return;
+  }
+
+  for (const unitName of units) {
+    _info(`Removing ${unitName}...`);
+    try {
+      await _exec(`${systemctl} disable --now ${unitName}`);
+    } catch (ex) {
+      _warning(`Failed to stop ${unitName}; it may not have been enabled.`);
+    }
+
+    await rm(path.join(serviceDir, unitName), { force: true });
+  }
+
+  try {
+    await _exec(`${systemctl} daemon-reload`);
+  } catch (ex) {
+    _warning(`Failed to reload systemd; run '${systemctl} daemon-reload' to complete the removal.`);
+  }
+
+  _ok(`Removed ${units.join(' and ')} from ${serviceDir}.`);
+};
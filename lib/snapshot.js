@@ -0,0 +1,131 @@
+import path from 'node:path';
+import { mkdir } from 'node:fs/promises';
+import { tmpDir } from './config.js';
+import { assertSuccess, getOpenSearchTarget, sendRequest } from './api.js';
+import { _info, _ok, _verbose, _verbose2 } from './logging.js';
+
+const repository = 'osd-launcher';
+
+// The security index can only be restored with the admin certificate, and a launch creates its own
+const excludedIndices = ['.opendistro_security'];
+
+/** Get the location of the snapshot repository shared by all deployments
+ *
+ * @returns {string}
+ */
+export const getSnapshotDir = () => path.join(tmpDir, 'snapshots');
+
+const callOpenSearch = async (target, method, apiPath, body) => {
+  const response = await sendRequest(`${target.url}${apiPath}`, {
+    ...target,
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  return assertSuccess(response);
+};
+
+const getSnapshotPath = name => `/_snapshot/${repository}/${encodeURIComponent(name)}`;
+
+const getTarget = state => {
+  if (!state.osDir) throw `The deployment does not include OpenSearch`;
+  return getOpenSearchTarget(state);
+};
+
+const registerRepository = async target => {
+  const location = getSnapshotDir();
+  await mkdir(location, { recursive: true });
+
+  try {
+    await callOpenSearch(target, 'PUT', `/_snapshot/${repository}`, { type: 'fs', settings: { location } });
+  } catch (ex) {
+    throw `Failed to register the snapshot repository in ${location}; deployments launched before snapshots were ` +
+      `supported need to be relaunched to allow it: ${ex}`;
+  }
+};
+
+/** Snapshot all the indices of a running deployment, including those of Dashboards
+ *
+ * @param {Object} state State of a running deployment
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export const createSnapshot = async (state, name) => {
+  const target = getTarget(state);
+  await registerRepository(target);
+
+  _info(`Creating the snapshot ${name} ...`);
+  const json = await callOpenSearch(target, 'PUT', `${getSnapshotPath(name)}?wait_for_completion=true`, {
+    // Hidden indices, like those of Dashboards, are only matched by patterns starting with a dot
+    indices: ['*', '.*', ...excludedIndices.map(index => `-${index}`)].join(','),
+    ignore_unavailable: true,
+    include_global_state: false,
+  });
+
+  const { state: snapshotState, indices = [], shards } = json?.snapshot ?? {};
+  if (snapshotState !== 'SUCCESS')
+    throw `The snapshot ${name} ended in state ${snapshotState} with ${shards?.failed} failed shards`;
+
+  _ok(`Created the snapshot ${name} of ${indices.length} indices in ${getSnapshotDir()}.`);
+};
+
+/** List the snapshots in the repository shared by all deployments
+ *
+ * @param {Object} state State of a running deployment
+ * @returns {Promise<void>}
+ */
+export const printSnapshots = async state => {
+  const target = getTarget(state);
+  await registerRepository(target);
+
+  const { snapshots = [] } = await callOpenSearch(target, 'GET', `/_snapshot/${repository}/_all`);
+  if (snapshots.length === 0) {
+    _verbose2(`There are no snapshots in ${getSnapshotDir()}.`);
+    return;
+  }
+
+  _info(`Snapshots in ${getSnapshotDir()}:`);
+  _verbose2('NAME'.padEnd(32) + 'STATE'.padEnd(12) + 'VERSION'.padEnd(10) + 'INDICES'.padStart(8) + '  CREATED');
+  for (const { snapshot, state: snapshotState, version, indices = [], start_time: startTime } of snapshots) {
+    _verbose2(
+      snapshot.padEnd(32) + `${snapshotState}`.padEnd(12) + `${version ?? ''}`.padEnd(10) + `${indices.length}`.padStart(8) +
+      `  ${startTime ? new Date(startTime).toLocaleString() : ''}`,
+    );
+  }
+};
+
+/** Restore a snapshot into a running deployment
+ *
+ * Indices of the deployment that are also in the snapshot, like those a fresh Dashboards creates, are replaced.
+ *
+ * @param {Object} state State of a running deployment
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export const restoreSnapshot = async (state, name) => {
+  const target = getTarget(state);
+  await registerRepository(target);
+
+  const { snapshots: [snapshot] = [] } = await callOpenSearch(target, 'GET', getSnapshotPath(name));
+  const indices = (snapshot?.indices ?? []).filter(index => !excludedIndices.includes(index));
+  if (indices.length === 0) throw `The snapshot ${name} has no indices to restore`;
+
+  const rows = await callOpenSearch(target, 'GET', '/_cat/indices?format=json&h=index&expand_wildcards=all');
+  for (const { index } of rows.filter(({ index }) => indices.includes(index))) {
+    _verbose(`Deleting ${index} to restore it from the snapshot`);
+    await callOpenSearch(target, 'DELETE', `/${encodeURIComponent(index)}`);
+  }
+
+  _info(`Restoring the snapshot ${name} ...`);
+  const json = await callOpenSearch(target, 'POST', `${getSnapshotPath(name)}/_restore?wait_for_completion=true`, {
+    indices: indices.join(','),
+    include_aliases: true,
+    include_global_state: false,
+  });
+
+  const { shards } = json?.snapshot ?? {};
+  if (shards?.failed) throw `Failed to restore ${shards.failed} of ${shards.total} shards of the snapshot ${name}`;
+
+  _ok(`Restored ${indices.length} indices from the snapshot ${name}; reload Dashboards to see its saved objects.`);
+};
@@ -1,47 +1,323 @@
+import { spawn } from 'node:child_process';
+import { closeSync, openSync } from 'node:fs';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { _error, _verbose, _warning } from './logging.js';
+
+/** @type {{name: string, child: ChildProcess, restart?: function(): Promise<ChildProcess|undefined>, restarts: number, maxRestarts: number, stopping?: boolean, restarting?: boolean}[]} */
 const subprocesses = [];
+const idleListeners = [];
+let stopping = false;
+
+const hasExited = child => child.exitCode !== null || child.signalCode !== null;
 
-function isProcessAlive(pid) {
-  if (!pid) return true;
+/** Check if a process is alive
+ *
+ * @param {number} pid
+ * @returns {boolean}
+ */
+export const isProcessAlive = pid => {
+  if (!pid) return false;
   try {
     process.kill(pid, 0);
     return true;
   } catch (err) {
     return err.code === 'EPERM';
   }
-}
+};
 
-/**
- * @returns {void}
+const signalProcess = (child, signal) => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (ex) {
+    if (ex.code !== 'ESRCH') {
+      _error(`Failed to signal process ${child.pid}:`, ex);
+    }
+  }
+};
+
+/** Wait for a process to exit
+ *
+ * @param {ChildProcess} child
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} Whether the process exited before the timeout
  */
-export const killSubprocesses = () => {
-  for (const proc of subprocesses) {
-    if (!proc) continue;
+const waitForExit = (child, timeoutMs) => {
+  return new Promise(resolve => {
+    if (hasExited(child)) return resolve(true);
 
-    proc.unref?.();
+    const onExit = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      child.off('exit', onExit);
+      resolve(false);
+    }, timeoutMs);
 
-    try {
-      process.kill(-proc.pid, 'SIGTERM');
+    child.once('exit', onExit);
+  });
+};
 
-      setTimeout(() => {
-        if (isProcessAlive(proc?.pid))
-          process.kill(-proc.pid, 'SIGKILL');
-      }, 5000);
-    } catch (ex) {
-      if (ex.code !== 'ESRCH') {
-        console.error(ex);
+const forgetProcess = record => {
+  const index = subprocesses.indexOf(record);
+  if (index !== -1) subprocesses.splice(index, 1);
+
+  if (subprocesses.length === 0) {
+    for (const resolve of idleListeners.splice(0)) resolve();
+  }
+};
+
+const onProcessExit = async (record, child, code, signal) => {
+  // While restarting, a new child that fails to start is handled by the restart itself
+  if (stopping || record.stopping || record.restarting || record.child !== child) return;
+
+  const reason = code ?? signal;
+  if (record.restart) {
+    if (record.restarts < record.maxRestarts) {
+      record.restarts++;
+      _warning(`\n\n${record.name} exited with ${reason}; restarting (${record.restarts}/${record.maxRestarts})...\n`);
+
+      record.restarting = true;
+      try {
+        // The new child is recorded under the same name as soon as it is spawned, so stopping reaches it too
+        if (await record.restart() && record.child !== child) return;
+      } catch (ex) {
+        _error(`Failed to restart ${record.name}:`, ex);
+      } finally {
+        record.restarting = false;
       }
+
+      // A restart that times out stops its own child, which still leaves the process down
+      if (stopping) return;
+    }
+
+    _error(`\n\n${record.name} exited with ${reason} and will not be restarted.\n`);
+  }
+
+  forgetProcess(record);
+};
+
+const stopRecord = async (record, timeoutSeconds) => {
+  const { name, child } = record;
+  record.stopping = true;
+
+  if (child && !hasExited(child)) {
+    _verbose(`Stopping ${name}...`);
+    signalProcess(child, 'SIGTERM');
+
+    if (!await waitForExit(child, timeoutSeconds * 1e3)) {
+      _warning(`${name} did not stop within ${timeoutSeconds}s; killing it...`);
+      signalProcess(child, 'SIGKILL');
+      await waitForExit(child, 5000);
     }
   }
+
+  child?.unref?.();
+  forgetProcess(record);
+};
+
+/** Synchronously signal all recorded processes to terminate
+ *
+ * @returns {void}
+ */
+export const killSubprocesses = () => {
+  for (const { child } of subprocesses) {
+    if (!child || hasExited(child)) continue;
+
+    child.unref?.();
+    signalProcess(child, 'SIGTERM');
+  }
+};
+
+/** Stop all recorded processes, the most recently started first, waiting for each to exit
+ *
+ * @param {number} [timeoutSeconds] Time to wait before a process is forcibly killed
+ * @returns {Promise<void>}
+ */
+export const stopSubprocesses = async (timeoutSeconds = 30) => {
+  stopping = true;
+
+  while (subprocesses.length) {
+    await stopRecord(subprocesses[subprocesses.length - 1], timeoutSeconds);
+  }
+};
+
+/** Stop a recorded process, waiting for it to exit, without restarting it
+ *
+ * @param {string} name
+ * @param {number} [timeoutSeconds] Time to wait before the process is forcibly killed
+ * @returns {Promise<void>}
+ */
+export const stopSubprocess = async (name, timeoutSeconds = 30) => {
+  const record = subprocesses.find(record => record.name === name);
+  if (record) await stopRecord(record, timeoutSeconds);
+};
+
+/** Restart a recorded process whenever it exits unexpectedly
+ *
+ * @param {string} name
+ * @param {function(): Promise<ChildProcess|undefined>} restart Starts the process again and resolves once it is
+ *   healthy
+ * @param {number} maxRestarts
+ * @returns {void}
+ */
+export const superviseProcess = (name, restart, maxRestarts) => {
+  const record = subprocesses.find(record => record.name === name);
+  if (!record) {
+    // It exited while the other components were starting, before anything could restart it
+    _error(`\n\n${name} exited during startup and will not be restarted.\n`);
+    return;
+  }
+
+  Object.assign(record, { restart, maxRestarts, restarts: 0 });
+};
+
+/** Wait until no recorded process is left running
+ *
+ * @returns {Promise<void>}
+ */
+export const waitForSubprocesses = () => {
+  return new Promise(resolve => {
+    if (subprocesses.length === 0) return resolve();
+    idleListeners.push(resolve);
+  });
 };
 
 /**
- * @param {ChildProcess} process
+ * @param {ChildProcess} child
+ * @param {string} [name]
  * @returns {void}
  */
-export const recordProcess = (process) => {
-  subprocesses.push(process);
+export const recordProcess = (child, name = `${child.pid}`) => {
+  let record = subprocesses.find(record => record.name === name);
+  if (record) {
+    record.child = child;
+  } else {
+    record = { name, child, restarts: 0, maxRestarts: 0 };
+    subprocesses.push(record);
+  }
+
+  child.once('exit', (code, signal) => onProcessExit(record, child, code, signal));
+};
+
+/** Spawn a process that outlives the launcher, recording its pid in a file
+ *
+ * @param {string} command
+ * @param {string[]} args
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {Object.<string, string>} [options.env] Variables to add to the environment
+ * @param {string} options.pidFile
+ * @param {string} options.logFile File receiving the process' stdout and stderr
+ * @returns {Promise<ChildProcess>}
+ */
+export const spawnDetached = async (command, args, { cwd, env, pidFile, logFile }) => {
+  await mkdir(dirname(pidFile), { recursive: true });
+  await mkdir(dirname(logFile), { recursive: true });
+
+  const out = openSync(logFile, 'a');
+  let child;
+  try {
+    child = spawn(command, args, { cwd, env: { ...process.env, ...env }, detached: true, stdio: ['ignore', out, out] });
+  } finally {
+    closeSync(out);
+  }
+
+  child.unref();
+  await writeFile(pidFile, `${child.pid}`, 'utf8');
+
+  return child;
+};
+
+/** Read a pid file, ignoring stale ones
+ *
+ * @param {string} pidFile
+ * @returns {Promise<number|undefined>} The pid if the process is still alive
+ */
+export const readPidFile = async pidFile => {
+  let pid;
+  try {
+    pid = parseInt(await readFile(pidFile, 'utf8'), 10);
+  } catch (ex) {
+    if (ex.code === 'ENOENT') return;
+    throw ex;
+  }
+
+  if (isProcessAlive(pid)) return pid;
+
+  await rm(pidFile, { force: true });
+};
+
+/** Stop the process group recorded in a pid file, waiting for it to exit
+ *
+ * @param {string} pidFile
+ * @param {number} [timeoutSeconds] Time to wait before the process is forcibly killed
+ * @returns {Promise<boolean>} Whether a running process was found
+ */
+export const stopPidFile = async (pidFile, timeoutSeconds = 30) => {
+  const pid = await readPidFile(pidFile);
+  if (!pid) return false;
+
+  const signal = sig => {
+    try {
+      process.kill(-pid, sig);
+    } catch (ex) {
+      if (ex.code !== 'ESRCH') throw ex;
+    }
+  };
+
+  signal('SIGTERM');
+
+  const timerStart = Date.now();
+  while (isProcessAlive(pid)) {
+    if (Date.now() - timerStart > timeoutSeconds * 1e3) {
+      _warning(`Process ${pid} did not stop within ${timeoutSeconds}s; killing it...`);
+      signal('SIGKILL');
+      break;
+    }
+    await sleep(250);
+  }
+
+  await rm(pidFile, { force: true });
+  return true;
+};
+
+let shuttingDown = false;
+const shutdown = signal => {
+  if (shuttingDown) {
+    _warning(`Forcing shutdown...`);
+    killSubprocesses();
+    process.exit(1);
+  }
+
+  shuttingDown = true;
+  stopSubprocesses()
+    .catch(ex => _error('Failed to stop processes:', ex))
+    .finally(() => process.exit(signal === 'SIGINT' ? 130 : 143));
+};
+
+const signalHandlers = {
+  SIGINT: () => shutdown('SIGINT'),
+  SIGTERM: () => shutdown('SIGTERM'),
+  SIGUSR1: () => killSubprocesses(),
+};
+
+/** Stop the recorded processes and exit when the current process is interrupted or terminated
+ *
+ * Left to the command-line, and to users of the library that opt in, as it takes over how the process exits.
+ *
+ * @returns {function(): void} Removes the handlers again
+ */
+export const handleSignals = () => {
+  for (const [signal, handler] of Object.entries(signalHandlers)) {
+    if (!process.listeners(signal).includes(handler)) process.on(signal, handler);
+  }
+
+  return () => {
+    for (const [signal, handler] of Object.entries(signalHandlers)) process.off(signal, handler);
+  };
 };
 
-process.on('SIGTERM', () => killSubprocesses());
-process.on('SIGUSR1', () => killSubprocesses());
-process.on('exit', () => killSubprocesses());
\ No newline at end of file
+process.on('exit', () => killSubprocesses());
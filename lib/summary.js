@@ -0,0 +1,53 @@
+import { writeFile } from 'node:fs/promises';
+import { redact } from './logging.js';
+
+/** Create the machine-readable summary of a launch
+ *
+ * The summary holds the versions, directories, endpoints, ports and pids of the components, where the credentials are
+ * kept, the time each phase took in milliseconds, and why the launch failed if it did. It is printed to stdout with
+ * --json and written to --summary-file, once, with secrets redacted.
+ *
+ * @param {Object} opts
+ * @param {boolean} [opts.json]
+ * @param {string} [opts.summaryFile]
+ * @returns {{time: function(string, function(): Promise<any>): Promise<any>, set: function(Object): void,
+ *   setComponent: function(string, Object): void, fail: function(any): void, write: function(): Promise<void>}}
+ */
+export const createSummary = opts => {
+  const summary = {
+    success: true,
+    error: undefined,
+    destination: opts.destination,
+    opensearch: undefined,
+    dashboards: undefined,
+    timings: {},
+  };
+  let written = false;
+
+  return {
+    time: async (phase, fn) => {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        summary.timings[phase] = Date.now() - start;
+      }
+    },
+    set: values => Object.assign(summary, values),
+    setComponent: (key, values) => {
+      summary[key] = { ...summary[key], ...values };
+    },
+    fail: error => {
+      summary.success = false;
+      summary.error = `${error?.message ?? error}`;
+    },
+    write: async () => {
+      if (written || (!opts.json && !opts.summaryFile)) return;
+      written = true;
+
+      const content = `${redact(JSON.stringify(summary, null, 2))}\n`;
+      if (opts.json) process.stdout.write(content);
+      if (opts.summaryFile) await writeFile(opts.summaryFile, content, 'utf8');
+    },
+  };
+};
@@ -0,0 +1,241 @@
+import os from 'node:os';
+import path from 'node:path';
+import { createReadStream, existsSync } from 'node:fs';
+import { mkdir, readdir, readFile, rm } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { ARCH, PLATFORM, tmpDir } from './config.js';
+import { touchCacheEntry } from './cache.js';
+import { _download, _exec, _fetchText, _unarchive, compareVersions, findExecutable } from './utils.js';
+import { _info, _notice, _verbose, _warning } from './logging.js';
+
+// nvm and most other tools honour the same variable to download Node.js from a mirror
+const getNodeMirror = () => (process.env.NODEJS_ORG_MIRROR ?? 'https://nodejs.org/dist').replace(/\/+$/, '');
+
+const nodePlatform = PLATFORM === 'windows' ? 'win' : PLATFORM;
+const nodeExtension = PLATFORM === 'windows' ? 'zip' : 'tar.gz';
+
+/** Whether a complete version matches a possibly partial one, e.g. 18.19.0 matches 18
+ *
+ * @param {string} version
+ * @param {string} required
+ * @returns {boolean}
+ */
+export const matchesVersion = (version, required) => {
+  const parts = required.split('.');
+  return version.split('.').slice(0, parts.length).join('.') === required;
+};
+
+/** Read the version of Node.js a checkout asks for in .nvmrc or .node-version, or else in the engines of package.json
+ *
+ * Only the major version is taken from engines, which name ranges.
+ *
+ * @param {string} folder
+ * @returns {Promise<string|undefined>} A complete or partial version, e.g. 18.19.0 or 18
+ */
+export const getRequiredNodeVersion = async folder => {
+  for (const name of ['.nvmrc', '.node-version']) {
+    try {
+      const version = (await readFile(path.join(folder, name), 'utf8')).trim().replace(/^v/, '');
+      if (/^\d+(\.\d+){0,2}$/.test(version)) return version;
+    } catch (ex) {
+    }
+  }
+
+  try {
+    const { engines } = JSON.parse(await readFile(path.join(folder, 'package.json'), 'utf8'));
+    return /(\d+)(\.\d+){0,2}/.exec(engines?.node ?? '')?.[1];
+  } catch (ex) {
+  }
+};
+
+/** Get where version managers keep the versions of Node.js they installed
+ *
+ * @returns {{name: string, root: string, getBinDir: function(string): string}[]}
+ */
+const getNodeInstallations = () => {
+  const home = os.homedir();
+  const fnmDir = process.env.FNM_DIR ?? (process.platform === 'darwin'
+    ? path.join(home, 'Library/Application Support/fnm')
+    : path.join(process.env.XDG_DATA_HOME ?? path.join(home, '.local/share'), 'fnm'));
+
+  return [
+    {
+      name: 'nvm',
+      root: path.join(process.env.NVM_DIR ?? path.join(home, '.nvm'), 'versions/node'),
+      getBinDir: entry => path.join(entry, 'bin'),
+    },
+    { name: 'fnm', root: path.join(fnmDir, 'node-versions'), getBinDir: entry => path.join(entry, 'installation/bin') },
+    {
+      name: 'Volta',
+      root: path.join(process.env.VOLTA_HOME ?? path.join(home, '.volta'), 'tools/image/node'),
+      getBinDir: entry => path.join(entry, 'bin'),
+    },
+    {
+      name: 'asdf',
+      root: path.join(process.env.ASDF_DATA_DIR ?? path.join(home, '.asdf'), 'installs/nodejs'),
+      getBinDir: entry => path.join(entry, 'bin'),
+    },
+    {
+      name: 'n',
+      root: path.join(process.env.N_PREFIX ?? '/usr/local', 'n/versions/node'),
+      getBinDir: entry => path.join(entry, 'bin'),
+    },
+  ];
+};
+
+const getCachedNodeDir = version => path.join(tmpDir, `node-v${version}-${nodePlatform}-${ARCH}`);
+
+// Node.js for Windows keeps its executables at the top of its distribution
+const getCachedBinDir = dir => PLATFORM === 'windows' ? dir : path.join(dir, 'bin');
+
+/** Find the latest installed version of Node.js that matches a possibly partial one
+ *
+ * @param {string} required
+ * @returns {Promise<{version: string, binDir: string, source: string}|undefined>}
+ */
+export const findInstalledNode = async required => {
+  const found = [];
+  for (const { name, root, getBinDir } of getNodeInstallations()) {
+    if (!existsSync(root)) continue;
+
+    for (const entry of await readdir(root)) {
+      const version = entry.replace(/^v/, '');
+      if (/^\d+\.\d+\.\d+$/.test(version) && matchesVersion(version, required))
+        found.push({ version, binDir: getBinDir(path.join(root, entry)), source: name });
+    }
+  }
+
+  const cachePattern = new RegExp(`^node-v(\\d+\\.\\d+\\.\\d+)-${nodePlatform}-${ARCH}$`);
+  if (existsSync(tmpDir)) {
+    for (const entry of await readdir(tmpDir)) {
+      const version = cachePattern.exec(entry)?.[1];
+      if (version && matchesVersion(version, required))
+        found.push({ version, binDir: getCachedBinDir(path.join(tmpDir, entry)), source: 'cache' });
+    }
+  }
+
+  return found
+    .filter(({ binDir }) => existsSync(path.join(binDir, PLATFORM === 'windows' ? 'node.exe' : 'node')))
+    .sort((a, b) => compareVersions(b.version, a.version))[0];
+};
+
+const resolveNodeVersion = async required => {
+  if (/^\d+\.\d+\.\d+$/.test(required)) return required;
+
+  const releases = JSON.parse(await _fetchText(`${getNodeMirror()}/index.json`));
+  const version = releases
+    .map(({ version }) => version.replace(/^v/, ''))
+    .find(version => matchesVersion(version, required));
+  if (!version) throw `No release of Node.js matches ${required}`;
+
+  return version;
+};
+
+const verifyNodeChecksum = async (file, version) => {
+  const name = path.basename(file);
+  const checksums = await _fetchText(`${getNodeMirror()}/v${version}/SHASUMS256.txt`);
+  const expected = checksums.split('\n').find(line => line.trim().endsWith(`  ${name}`))?.split(/\s+/)[0];
+  if (!expected) throw `No checksum of ${name} was published`;
+
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(file)) hash.update(chunk);
+  if (hash.digest('hex') !== expected) throw `The SHA-256 checksum of ${name} does not match`;
+
+  _verbose(`Verified the SHA-256 checksum of ${name}`);
+};
+
+const downloadNode = async required => {
+  const version = await resolveNodeVersion(required);
+  const dir = getCachedNodeDir(version);
+  const name = `node-v${version}-${nodePlatform}-${ARCH}.${nodeExtension}`;
+  const archive = path.join(tmpDir, name);
+
+  _info(`Downloading Node.js ${version}...`);
+  await _download(`${getNodeMirror()}/v${version}/${name}`, archive);
+  try {
+    await verifyNodeChecksum(archive, version);
+    _unarchive(archive, dir);
+  } finally {
+    await rm(archive, { force: true });
+  }
+
+  return { version, binDir: getCachedBinDir(dir), source: 'cache' };
+};
+
+const getSearchPath = dirs => [...dirs, ...(process.env.PATH ?? '').split(path.delimiter)];
+
+const getVersionOnPath = async (command, dirs) => {
+  if (!await findExecutable(command, getSearchPath(dirs))) return;
+
+  try {
+    const output = await _exec(`${command} --version`, { env: { ...process.env, ...getToolchainEnv(dirs) } });
+    return output.trim().replace(/^v/, '');
+  } catch (ex) {
+  }
+};
+
+/** Get the variables to run a command under a toolchain with
+ *
+ * @param {string[]} [dirs] Directories of the toolchain, see prepareNodeToolchain
+ * @returns {Object.<string, string>}
+ */
+export const getToolchainEnv = dirs => dirs?.length
+  ? { PATH: [...dirs, process.env.PATH].join(path.delimiter), COREPACK_ENABLE_DOWNLOAD_PROMPT: '0' }
+  : {};
+
+/** Find or download the versions of Node.js and Yarn a checkout of Dashboards needs
+ *
+ * The node on the PATH is used when it matches the version in .nvmrc, .node-version, or the engines of package.json.
+ * Otherwise, the latest matching version installed by nvm, fnm, Volta, asdf or n, or downloaded before, is used, and
+ * failing that, it is downloaded into the cache. Yarn is run through corepack when the PATH has no Yarn, or one of
+ * another major version than the engines name.
+ *
+ * @param {string} folder
+ * @returns {Promise<string[]>} Directories to put at the front of the PATH; empty when nothing needs to change
+ */
+export const prepareNodeToolchain = async folder => {
+  const required = await getRequiredNodeVersion(folder);
+  if (!required) {
+    _warning(`Dashboards in ${folder} does not name a version of Node.js; using node on the PATH`);
+    return [];
+  }
+
+  const dirs = [];
+  let nodeVersion = await getVersionOnPath('node', dirs);
+  if (nodeVersion && matchesVersion(nodeVersion, required)) {
+    _verbose(`Using Node.js ${nodeVersion} on the PATH, which matches ${required}`);
+  } else {
+    const node = await findInstalledNode(required) ?? await downloadNode(required);
+    if (node.source === 'cache') await touchCacheEntry(path.dirname(node.binDir));
+    _notice(`Using Node.js ${node.version} from ${node.source} for Dashboards, which needs ${required}`);
+    dirs.push(node.binDir);
+    nodeVersion = node.version;
+  }
+
+  let requiredYarn;
+  try {
+    const { engines } = JSON.parse(await readFile(path.join(folder, 'package.json'), 'utf8'));
+    requiredYarn = /(\d+)/.exec(engines?.yarn ?? '')?.[1];
+  } catch (ex) {
+  }
+
+  const yarn = await getVersionOnPath('yarn', dirs);
+  if (yarn && (!requiredYarn || yarn.split('.')[0] === requiredYarn)) {
+    _verbose(`Using Yarn ${yarn}`);
+    return dirs;
+  }
+
+  const corepack = await findExecutable('corepack', getSearchPath(dirs));
+  if (!corepack) throw `Dashboards needs Yarn${requiredYarn ? ` ${requiredYarn}` : ''}, which was not found, and ` +
+    `Node.js ${nodeVersion} has no corepack to provide it; install it with npm install -g yarn@${requiredYarn ?? 1}`;
+
+  // The shims corepack creates run the corepack of the Node.js that created them
+  const shimDir = path.join(tmpDir, 'corepack', `node-v${nodeVersion}`);
+  await mkdir(shimDir, { recursive: true });
+  await _exec(`${corepack} enable yarn --install-directory ${JSON.stringify(shimDir)}`, {
+    env: { ...process.env, ...getToolchainEnv(dirs) },
+  });
+  _notice(`Using Yarn through corepack${yarn ? ` instead of Yarn ${yarn}` : ''}`);
+
+  return [shimDir, ...dirs];
+};
@@ -1,63 +1,269 @@
-import { basename, dirname, extname } from 'node:path';
-import { createReadStream, createWriteStream, mkdirSync, rmSync, renameSync } from 'node:fs';
+import { basename, delimiter, dirname, extname, join } from 'node:path';
+import {
+  createReadStream,
+  createWriteStream,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  rmSync,
+  renameSync,
+  statSync,
+} from 'node:fs';
 import { access, appendFile, constants, rename, rm } from 'node:fs/promises';
 import { once } from 'node:events';
+import { pipeline } from 'node:stream/promises';
+import { createHash } from 'node:crypto';
 import { createInterface } from 'node:readline';
 import { exec, execSync, spawn } from 'node:child_process';
 import { setTimeout } from 'node:timers/promises';
-import { get } from 'node:https';
-import { _info, _verbose, _warning } from './logging.js';
+import { get, request } from 'node:https';
+import { fileURLToPath } from 'node:url';
+import { _info, _progress, _verbose, _warning, getLogStream } from './logging.js';
+import { getProxyAgent } from './proxy.js';
+
+export const formatBytes = bytes => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
 
-/** Download a URL to a destination
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+const formatDuration = seconds => {
+  if (!Number.isFinite(seconds)) return '?';
+  const s = Math.round(seconds);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m${`${s % 60}`.padStart(2, '0')}s`;
+  return `${Math.floor(s / 3600)}h${`${Math.floor(s % 3600 / 60)}`.padStart(2, '0')}m`;
+};
+
+const createProgress = (start, total) => {
+  const began = Date.now();
+  const interval = getLogStream().isTTY ? 500 : 10000;
+  let received = start;
+  let lastReport = 0;
+
+  const report = final => {
+    const elapsed = Math.max(Date.now() - began, 1) / 1e3;
+    const rate = (received - start) / elapsed;
+    const parts = [total ? `${formatBytes(received)} of ${formatBytes(total)} (${Math.floor(received * 100 / total)}%)` : formatBytes(received)];
+    parts.push(`at ${formatBytes(rate)}/s`);
+    if (total && !final) parts.push(`${formatDuration((total - received) / rate)} left`);
+
+    _progress(parts.join(' '), final);
+  };
+
+  return {
+    update: bytes => {
+      received += bytes;
+      if (Date.now() - lastReport < interval) return;
+      lastReport = Date.now();
+      report(false);
+    },
+    done: () => report(true),
+  };
+};
+
+/** Download a URL into a file, resuming from where a previous attempt stopped
  *
  * @param {string | URL} url
- * @param {string} dest
- * @returns {Promise<string>}
+ * @param {string} file
+ * @returns {Promise<void>}
  */
-export const _download = (url, dest) => {
+const downloadToFile = (url, file) => {
   return new Promise((resolve, reject) => {
-    const tmpDest = dest + '.temp';
-    mkdirSync(dirname(dest), { recursive: true });
-    rmSync(tmpDest, { force: true, recursive: true });
+    const offset = existsSync(file) ? statSync(file).size : 0;
+    const headers = offset ? { Range: `bytes=${offset}-` } : {};
+
+    get(url, { headers, agent: getProxyAgent(url) }, response => {
+      const { statusCode } = response;
+
+      if (statusCode > 300 && statusCode < 400 && response.headers.location) {
+        response.resume();
+        _verbose(`Redirected from ${url}`);
+        const newURL = new URL(response.headers.location, url);
+        return downloadToFile(newURL, file)
+          .then(resolve)
+          .catch(reject);
+      }
+
+      // The partial download cannot be resumed; start over
+      if (statusCode === 416) {
+        response.resume();
+        rmSync(file, { force: true });
+        return downloadToFile(url, file)
+          .then(resolve)
+          .catch(reject);
+      }
 
-    get(url, response => {
-      if (response.statusCode < 200 || response.statusCode >= 400) {
-        return reject(`Download failed with ${response.statusCode}: ${response.statusMessage}`);
+      if (statusCode !== 200 && statusCode !== 206) {
+        response.resume();
+        return reject(`Download failed with ${statusCode}: ${response.statusMessage}`);
       }
 
-      if (response.statusCode > 300) {
-        if (response.headers.location) {
-          _verbose(`Redirected from ${url}`);
-          const newURL = new URL(response.headers.location, url);
-          return _download(newURL, dest)
-            .then(resolve)
-            .catch(reject);
-        }
+      const resumed = statusCode === 206;
+      const start = resumed ? offset : 0;
+      const length = parseInt(response.headers['content-length'], 10);
+      const total = Number.isFinite(length) ? start + length : undefined;
+
+      if (resumed) _verbose(`Resuming download of ${url} from ${formatBytes(offset)}`);
+      else _verbose(`Downloading ${url}`);
+
+      const progress = createProgress(start, total);
+      response.on('data', chunk => progress.update(chunk.length));
+
+      pipeline(response, createWriteStream(file, { flags: resumed ? 'a' : 'w' }))
+        .then(() => {
+          progress.done();
+          if (!response.complete) return reject(`Download of ${url} was interrupted`);
+          resolve();
+        })
+        .catch(err => {
+          progress.done();
+          reject(err.message ?? err);
+        });
+    }).on('error', err => {
+      reject(err.message);
+    });
+  });
+};
+
+/** Fetch a small text document
+ *
+ * @param {string | URL} url
+ * @param {Object} [options]
+ * @param {Object.<string, string>} [options.headers]
+ * @returns {Promise<string>}
+ */
+export const _fetchText = (url, { headers } = {}) => {
+  return new Promise((resolve, reject) => {
+    get(url, { headers, agent: getProxyAgent(url) }, response => {
+      const { statusCode } = response;
+      if (statusCode > 300 && statusCode < 400 && response.headers.location) {
+        response.resume();
+        return _fetchText(new URL(response.headers.location, url), { headers })
+          .then(resolve)
+          .catch(reject);
+      }
 
-        return reject(`Download failed with ${response.statusCode}: ${response.statusMessage}`);
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(`Request failed with ${statusCode}: ${response.statusMessage}`);
       }
 
-      // 200
-      _verbose(`Downloading ${url}`);
-      const fs =
-        createWriteStream(tmpDest, { flags: 'wx' })
-          .on('finish', () => {
-            _info(`Finished downloading ${url}`);
-            rmSync(dest, { force: true, recursive: true });
-            renameSync(tmpDest, dest);
-            resolve(dest);
-          })
-          .on('error', err => {
-            reject(err.message);
-          });
-
-      response.pipe(fs);
+      const content = [];
+      response.on('data', chunk => content.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(content).toString('utf8')));
+      response.on('error', err => reject(err.message));
     }).on('error', err => {
       reject(err.message);
     });
   });
 };
 
+/** Check if a URL exists, without downloading it
+ *
+ * @param {string | URL} url
+ * @returns {Promise<boolean>}
+ */
+export const _urlExists = (url) => {
+  return new Promise((resolve, reject) => {
+    request(url, { method: 'HEAD', agent: getProxyAgent(url) }, response => {
+      response.resume();
+      const { statusCode } = response;
+      if (statusCode > 300 && statusCode < 400 && response.headers.location) {
+        return _urlExists(new URL(response.headers.location, url))
+          .then(resolve)
+          .catch(reject);
+      }
+
+      resolve(statusCode === 200);
+    }).on('error', err => {
+      reject(err.message);
+    }).end();
+  });
+};
+
+/** Verify a file against a published SHA-512 checksum
+ *
+ * Fails when the checksum cannot be fetched, as much as when it does not match.
+ *
+ * @param {string} file
+ * @param {string | URL} checksumURL Location of a checksum file in the format of sha512sum
+ * @param {string} [name] Name of the file to report
+ * @returns {Promise<void>}
+ */
+export const _verifyChecksum = async (file, checksumURL, name = basename(file)) => {
+  const skipHint = 'use --skip-checksum to download it without verifying';
+  let expected;
+  try {
+    expected = (await _fetchText(checksumURL)).trim().split(/\s+/)[0].toLowerCase();
+  } catch (ex) {
+    throw `Failed to verify ${name} as ${checksumURL} could not be fetched: ${ex}; ${skipHint}`;
+  }
+
+  if (!/^[a-f0-9]{128}$/.test(expected))
+    throw `Failed to verify ${name} as ${checksumURL} does not contain a SHA-512 checksum; ${skipHint}`;
+
+  const hash = createHash('sha512');
+  for await (const chunk of createReadStream(file)) hash.update(chunk);
+
+  if (hash.digest('hex') !== expected) throw `The SHA-512 checksum of ${name} does not match ${checksumURL}`;
+
+  _verbose(`Verified the SHA-512 checksum of ${name}`);
+};
+
+/** Download a URL to a destination
+ *
+ * Interrupted downloads are resumed from a `.temp` file next to the destination, which is only moved into place
+ * once it is complete and, if a checksum is given, verified.
+ *
+ * @param {string | URL} url
+ * @param {string} dest
+ * @param {Object} [options]
+ * @param {string | URL} [options.checksumURL] Location of a published SHA-512 checksum for the download
+ * @param {number} [options.tries] Number of attempts made while the download keeps making progress
+ * @returns {Promise<string>}
+ */
+export const _download = async (url, dest, { checksumURL, tries = 5 } = {}) => {
+  const tmpDest = dest + '.temp';
+  mkdirSync(dirname(dest), { recursive: true });
+
+  for (let tryCount = 1; ; tryCount++) {
+    const sizeBefore = existsSync(tmpDest) ? statSync(tmpDest).size : 0;
+    try {
+      await downloadToFile(url, tmpDest);
+      break;
+    } catch (ex) {
+      const sizeAfter = existsSync(tmpDest) ? statSync(tmpDest).size : 0;
+      // Only retry downloads that were making progress before being interrupted
+      if (tryCount >= tries || sizeAfter <= sizeBefore) throw ex;
+
+      _warning(`${ex}; will resume...`);
+      await setTimeout(3000);
+    }
+  }
+
+  if (checksumURL) {
+    try {
+      await _verifyChecksum(tmpDest, checksumURL, basename(dest));
+    } catch (ex) {
+      rmSync(tmpDest, { force: true });
+      throw ex;
+    }
+  }
+
+  rmSync(dest, { force: true, recursive: true });
+  renameSync(tmpDest, dest);
+  _info(`Finished downloading ${url}`);
+
+  return dest;
+};
+
 /** Synchronously execute a command
  *
  * @param {string} command
@@ -92,6 +298,8 @@ export const _exec = (command, options = {}) => {
 };
 
 /** Asynchronously spawn a process
+ *
+ * The output of the process goes where the logs go, which keeps stdout clean for --json.
  *
  * @param {string|string[]} parts
  * @param {Object.<string, any>} options
@@ -100,7 +308,8 @@ export const _exec = (command, options = {}) => {
 export const _spawn = (parts, options = {}) => {
   return new Promise((resolve, reject) => {
     const [command, ...rest] = Array.isArray(parts) ? parts : parts.split(' ');
-    const child = spawn(command, rest, { stdio: ['ignore', 'inherit', 'inherit'], ...options });
+    const stream = getLogStream();
+    const child = spawn(command, rest, { stdio: ['ignore', stream, stream], ...options });
     child.on('close', code => {
       if (code === 0) return resolve();
       reject(code);
@@ -233,11 +442,90 @@ export const _unarchive = (archive, dest) => {
       _execSync(`tar -xz --strip-components=1 -f ${archive} --directory ${dest}`);
     }
   }
+
+  // Zip archives are not stripped of their top-level folder while unpacking
+  const entries = readdirSync(dest, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    const topLevel = join(dest, entries[0].name);
+    for (const name of readdirSync(topLevel)) renameSync(join(topLevel, name), join(dest, name));
+    rmSync(topLevel, { recursive: true });
+  }
+};
+
+/** Find an executable on the PATH, or in other directories
+ *
+ * @param {string} name
+ * @param {string[]} [dirs] Directories to search instead of the PATH
+ * @returns {Promise<string|undefined>}
+ */
+export const findExecutable = async (name, dirs = (process.env.PATH ?? '').split(delimiter)) => {
+  const extensions = process.platform === 'win32' ? (process.env.PATHEXT ?? '.EXE;.CMD;.BAT').split(';') : [''];
+  for (const dir of dirs.filter(Boolean)) {
+    for (const extension of extensions) {
+      const file = join(dir, `${name}${extension}`);
+      try {
+        await access(file, constants.X_OK);
+        return file;
+      } catch (ex) {
+      }
+    }
+  }
 };
 
 export const camelCase = str => str.split('-').reduce((str, word) => {
   return str + word[0].toUpperCase() + word.slice(1);
 });
 
+/** Compare two versions, for sorting in ascending order
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const compareVersions = (a, b) => {
+  const partsA = `${a}`.split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = `${b}`.split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0, len = Math.max(partsA.length, partsB.length); i < len; i++) {
+    const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+};
+
 export const isVersion = value => /^\d+\.\d+\.\d+$/.test(value);
-export const isGitHubSource = value => /^github:(\/\/)?[^\/]+(\/[^\/]+\/[^\/]+)?$/i.test(value);
\ No newline at end of file
+export const isRelease = value => isVersion(value) || isArchive(value);
+export const isGitHubSource = value => /^github:(\/\/)?[^\/]+(\/[^\/]+\/[^\/]+)?$/i.test(value);
+// latest, a major version like 2 or 2.x, or a minor version like 2.15 or 2.15.x
+export const isVersionAlias = value => /^(latest|\d+(\.x)?|\d+\.\d+(\.x)?)$/i.test(value);
+
+/** Check if a value refers to a local archive, either as a path or a file:// URL
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isArchive = value => /\.(tar\.gz|tgz|zip)$/i.test(value) && (/^file:\/\//i.test(value) || existsSync(value));
+
+/** Get the path of a local archive
+ *
+ * @param {string} value Either a path or a file:// URL
+ * @returns {string}
+ */
+export const getArchivePath = value => /^file:\/\//i.test(value) ? fileURLToPath(value) : value;
+
+/** Get the version of a local archive from its name, e.g. opensearch-2.15.0-linux-x64.tar.gz
+ *
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+export const getArchiveVersion = value => /(\d+\.\d+\.\d+)/.exec(basename(getArchivePath(value)))?.[1];
+
+/** Get the locations of the data and logs of a deployment kept outside of its installations
+ *
+ * @param {string} dataDir
+ * @returns {{opensearch: {data: string, logs: string}, dashboards: {data: string}}}
+ */
+export const getDataPaths = dataDir => ({
+  opensearch: { data: join(dataDir, 'opensearch', 'data'), logs: join(dataDir, 'opensearch', 'logs') },
+  dashboards: { data: join(dataDir, 'dashboards', 'data') },
+});
@@ -0,0 +1,210 @@
+import path from 'node:path';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import {
+  ARCH,
+  get,
+  getArtifactListingURLs,
+  getArtifactURL,
+  getReleaseListingURL,
+  getReleaseURL,
+  PLATFORM,
+  tmpDir,
+} from './config.js';
+import { _fetchText, _urlExists, compareVersions, isVersion } from './utils.js';
+import { _info, _notice, _verbose, _verbose2 } from './logging.js';
+
+const productNames = {
+  opensearch: 'OpenSearch',
+  'opensearch-min': 'OpenSearch (min)',
+  dashboards: 'Dashboards',
+};
+
+// Lists of releases and missing artifacts are refreshed daily; found artifacts are remembered for offline runs
+const maxAge = 864e5;
+const concurrency = 8;
+
+const getCacheFile = () => path.join(tmpDir, 'releases.json');
+
+const loadCache = async () => {
+  try {
+    return JSON.parse(await readFile(getCacheFile(), 'utf8'));
+  } catch (ex) {
+    return {};
+  }
+};
+
+const saveCache = async cache => {
+  await mkdir(tmpDir, { recursive: true });
+  await writeFile(getCacheFile(), JSON.stringify(cache, null, 2), 'utf8');
+};
+
+// Versions named in a listing of a folder, like the index pages of web servers or the XML of S3 buckets
+const parseListing = text => [...new Set([...text.matchAll(/(?<![\w.-])(\d+\.\d+\.\d+)(?![\w.-])/g)].map(match => match[1]))];
+
+const fetchListing = async (cache, url, refresh) => {
+  const known = cache.listings?.[url];
+  if (!refresh && known && Date.now() - known.fetchedAt < maxAge) return known.versions;
+
+  _verbose(`Fetching the list of releases from ${url}...`);
+  const versions = parseListing(await _fetchText(url));
+  if (versions.length === 0) throw `${url} does not list any versions`;
+
+  (cache.listings ??= {})[url] = { versions, fetchedAt: Date.now() };
+  return versions;
+};
+
+// The manifests of opensearch-build name every release, but GitHub limits requests without credentials
+const fetchManifests = async (cache, refresh) => {
+  if (!refresh && cache.manifests && Date.now() - cache.manifests.fetchedAt < maxAge) return cache.manifests.versions;
+
+  _verbose(`Fetching the list of releases from the manifests of opensearch-build...`);
+  const listing = JSON.parse(await _fetchText(get(['releases', 'manifests']), {
+    headers: { 'User-Agent': 'osd-launcher', Accept: 'application/vnd.github+json' },
+  }));
+
+  const versions = listing.filter(({ type, name }) => type === 'dir' && isVersion(name)).map(({ name }) => name);
+  cache.manifests = { versions, fetchedAt: Date.now() };
+  return versions;
+};
+
+/** List the versions of a product kept on the artifact host, or on the mirror when one is given
+ *
+ * A stale list is used when the host cannot be reached, and the manifests of opensearch-build when there is none.
+ *
+ * @returns {Promise<string[]>} Versions, latest first
+ */
+const fetchVersions = async (cache, product, artifactBaseUrl, refresh) => {
+  const listings = artifactBaseUrl
+    ? getArtifactListingURLs(product, artifactBaseUrl)
+    : [{ url: getReleaseListingURL(product) }];
+
+  const versions = new Set();
+  let failure;
+  for (const { url, versions: pattern } of listings) {
+    let listed;
+    try {
+      listed = await fetchListing(cache, url, refresh);
+    } catch (ex) {
+      listed = cache.listings?.[url]?.versions;
+      if (listed) {
+        _notice(`Failed to fetch the list of releases from ${url}; using the one from ` +
+          `${new Date(cache.listings[url].fetchedAt).toLocaleString()}`);
+      } else {
+        failure = `${ex.message ?? ex}`;
+        continue;
+      }
+    }
+
+    for (const version of listed) if (!pattern || new RegExp(pattern).test(version)) versions.add(version);
+  }
+
+  if (failure && versions.size === 0) {
+    _notice(`Failed to fetch the list of releases from the artifact host (${failure}); trying GitHub...`);
+    try {
+      for (const version of await fetchManifests(cache, refresh)) versions.add(version);
+    } catch (ex) {
+      if (!cache.manifests) throw `Failed to fetch the list of releases: ${failure}`;
+      for (const version of cache.manifests.versions) versions.add(version);
+    }
+  }
+
+  return [...versions].sort((a, b) => compareVersions(b, a));
+};
+
+const isAvailable = async (cache, product, version, artifactBaseUrl) => {
+  // A mirror only has what it has, while the release host only has released versions
+  const url = artifactBaseUrl ? getArtifactURL(product, version, artifactBaseUrl) : getReleaseURL(product, version);
+  const known = cache.artifacts?.[url];
+  if (known?.available || (known && Date.now() - known.checkedAt < maxAge)) return known.available;
+
+  let available;
+  try {
+    available = await _urlExists(url);
+  } catch (ex) {
+    return known?.available ?? false;
+  }
+
+  (cache.artifacts ??= {})[url] = { available, checkedAt: Date.now() };
+  return available;
+};
+
+const matchesAlias = (version, alias) => {
+  if (alias.toLowerCase() === 'latest') return true;
+
+  const parts = alias.replace(/\.x$/i, '').split('.');
+  return parts.every((part, i) => version.split('.')[i] === part);
+};
+
+/** List the released versions of a product available for this platform
+ *
+ * @param {string} product One of opensearch, opensearch-min or dashboards
+ * @param {Object} [options]
+ * @param {string} [options.artifactBaseUrl] Mirror to check for artifacts instead of the release host
+ * @param {boolean} [options.refresh] Refresh the cached list of releases
+ * @returns {Promise<string[]>} Versions, latest first
+ */
+export const listReleases = async (product, { artifactBaseUrl, refresh } = {}) => {
+  const cache = await loadCache();
+  const versions = await fetchVersions(cache, product, artifactBaseUrl, refresh);
+
+  const available = [];
+  for (let i = 0; i < versions.length; i += concurrency) {
+    const batch = versions.slice(i, i + concurrency);
+    const results = await Promise.all(batch.map(version => isAvailable(cache, product, version, artifactBaseUrl)));
+    available.push(...batch.filter((version, j) => results[j]));
+  }
+
+  await saveCache(cache);
+  return available;
+};
+
+/** Resolve an alias, like latest, 2.x or 2.15, to the latest matching release available for this platform
+ *
+ * @param {string} product One of opensearch, opensearch-min or dashboards
+ * @param {string} alias
+ * @param {Object} [options]
+ * @param {string} [options.artifactBaseUrl] Mirror to check for artifacts instead of the release host
+ * @returns {Promise<string>}
+ */
+export const resolveVersionAlias = async (product, alias, { artifactBaseUrl } = {}) => {
+  const cache = await loadCache();
+  const versions = await fetchVersions(cache, product, artifactBaseUrl);
+
+  let resolved;
+  for (const version of versions.filter(version => matchesAlias(version, alias))) {
+    if (await isAvailable(cache, product, version, artifactBaseUrl)) {
+      resolved = version;
+      break;
+    }
+  }
+
+  await saveCache(cache);
+  if (!resolved) throw `No release of ${productNames[product]} matching ${alias} is available for ${PLATFORM}/${ARCH}`;
+
+  _verbose2(`Resolved ${productNames[product]} ${alias} to ${resolved}`);
+  return resolved;
+};
+
+/** Print the released versions of OpenSearch and Dashboards available for this platform
+ *
+ * @param {Object} [options]
+ * @param {string} [options.artifactBaseUrl] Mirror to check for artifacts instead of the release host
+ * @param {boolean} [options.refresh] Refresh the cached list of releases
+ * @returns {Promise<void>}
+ */
+export const printReleases = async ({ artifactBaseUrl, refresh } = {}) => {
+  for (const product of ['opensearch', 'dashboards']) {
+    const versions = await listReleases(product, { artifactBaseUrl, refresh });
+    _info(`${productNames[product]} releases for ${PLATFORM}/${ARCH}:`);
+
+    const minors = new Map();
+    for (const version of versions) {
+      const minor = version.split('.').slice(0, 2).join('.');
+      if (!minors.has(minor)) minors.set(minor, []);
+      minors.get(minor).push(version);
+    }
+
+    for (const [minor, patches] of minors) _verbose2(`  ${minor.padEnd(8)}${patches.join(', ')}`);
+    if (versions.length === 0) _verbose2(`  None`);
+  }
+};
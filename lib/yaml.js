@@ -0,0 +1,110 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { isMap, isScalar, parse, parseDocument, YAMLMap } from 'yaml';
+import { deepExpand } from './config.js';
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+const getLeaves = (obj, prefix = []) => {
+  const leaves = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (isObject(value) && Object.keys(value).length) leaves.push(...getLeaves(value, [...prefix, key]));
+    else leaves.push([[...prefix, key], value]);
+  }
+
+  return leaves;
+};
+
+/** Parse settings given as `key=value` strings and/or objects into flat paths
+ *
+ * Values of strings are parsed as YAML, so `2000`, `true` and `[a, b]` keep their types; an empty value, or null in
+ * objects, removes the setting. Keys of objects can be dotted, nested or both, e.g. `{ "a.b": 1 }` and
+ * `{ a: { b: 1 } }` are equivalent.
+ *
+ * @param {string|Object|(string|Object)[]} settings
+ * @returns {[string[], any][]} Paths and values, with a value of undefined for settings to remove
+ */
+export const parseSettings = settings => {
+  const merged = {};
+  for (const setting of [settings ?? []].flat()) {
+    if (isObject(setting)) {
+      Object.assign(merged, setting);
+      continue;
+    }
+
+    const index = `${setting}`.indexOf('=');
+    if (index < 1) throw `Invalid setting '${setting}'; settings need to be in the form of key=value`;
+
+    const key = setting.slice(0, index).trim();
+    const rawValue = setting.slice(index + 1).trim();
+    let value;
+    try {
+      value = rawValue === '' ? undefined : parse(rawValue);
+    } catch (ex) {
+      value = rawValue;
+    }
+
+    // Later settings win, including over nested ones given earlier
+    for (const existing of Object.keys(merged)) {
+      if (existing === key || existing.startsWith(`${key}.`)) delete merged[existing];
+    }
+    merged[key] = value;
+  }
+
+  return getLeaves(deepExpand(structuredClone(merged)));
+};
+
+const getKeyParts = pair => `${isScalar(pair.key) ? pair.key.value : pair.key}`.split('.').filter(part => part);
+
+const startsWith = (parts, prefix) => prefix.length <= parts.length && prefix.every((part, i) => parts[i] === part);
+
+/** Set or remove a setting in a map, wherever it is defined using dotted or nested keys
+ *
+ * @returns {boolean} Whether the value was set in place
+ */
+const editMap = (doc, map, path, value, alreadySet) => {
+  let set = alreadySet;
+  for (const pair of [...map.items]) {
+    const keyParts = getKeyParts(pair);
+
+    if (startsWith(path, keyParts) && keyParts.length < path.length && isMap(pair.value)) {
+      set = editMap(doc, pair.value, path.slice(keyParts.length), value, set) || set;
+      if (pair.value.items.length === 0) map.items.splice(map.items.indexOf(pair), 1);
+    } else if (startsWith(path, keyParts) || startsWith(keyParts, path)) {
+      // Either the same setting, a scalar parent that would be overridden, or a child that is being replaced
+      if (!set && value !== undefined && keyParts.length === path.length) {
+        pair.value = doc.createNode(value);
+        set = true;
+      } else {
+        map.items.splice(map.items.indexOf(pair), 1);
+      }
+    }
+  }
+
+  return set;
+};
+
+/** Merge settings into a YAML file
+ *
+ * Existing definitions of a setting are replaced whether they use dotted keys, nested keys or a mix of both, while the
+ * rest of the file, including comments, is left untouched. New settings are appended using dotted keys.
+ *
+ * @param {string} file
+ * @param {string|Object|(string|Object)[]} settings See parseSettings
+ * @returns {Promise<void>}
+ */
+export const mergeYamlSettings = async (file, settings) => {
+  const content = existsSync(file) ? await readFile(file, 'utf8') : '';
+  const doc = parseDocument(content);
+  if (doc.errors.length) throw `Failed to parse ${file}: ${doc.errors[0].message}`;
+  if (!isMap(doc.contents)) doc.contents = new YAMLMap();
+
+  for (const [path, setting] of parseSettings(settings)) {
+    const value = setting ?? undefined;
+    if (!editMap(doc, doc.contents, path, value, false) && value !== undefined) {
+      doc.contents.add(doc.createPair(path.join('.'), value));
+    }
+  }
+
+  await writeFile(file, doc.toString({ lineWidth: 0, flowCollectionPadding: false }), 'utf8');
+};
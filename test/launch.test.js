@@ -0,0 +1,91 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { getDefaultOptions, launch } from '../index.js';
+import { parseOptions } from '../lib/options.js';
+
+describe('getDefaultOptions', () => {
+  it('has the defaults of the command-line', () => {
+    const defaults = getDefaultOptions();
+
+    assert.equal(defaults.destination, process.cwd());
+    assert.equal(defaults.opensearchPort, '9200');
+    assert.equal(defaults.dashboardsPort, '5601');
+    assert.equal(defaults.username, 'admin');
+    assert.equal(defaults.security, true);
+    assert.equal(defaults.certValidity, 365);
+    assert.equal(defaults.waitFor, 'yellow');
+    assert.equal(defaults.password, undefined);
+  });
+});
+
+describe('parseOptions', () => {
+  it('parses strings and numbers the way the command-line does', () => {
+    const parsed = parseOptions({ opensearchTimeout: '60', pollInterval: 2, destination: 'deployment' });
+
+    assert.equal(parsed.opensearchTimeout, 60);
+    assert.equal(parsed.pollInterval, 2);
+    assert.equal(parsed.destination, path.resolve('deployment'));
+  });
+
+  it('collects repeatable options from an array or a single value', () => {
+    assert.deepEqual(parseOptions({ certSan: ['a.test', 'b.test'] }).certSan, ['a.test', 'b.test']);
+    assert.deepEqual(parseOptions({ opensearchJvmOpt: '-Xss2m' }).opensearchJvmOpt, ['-Xss2m']);
+  });
+
+  it('keeps booleans, objects and unknown options as they are', () => {
+    const settings = { 'indices.query.bool.max_clause_count': 2048 };
+    const parsed = parseOptions({ security: false, opensearchSetting: [settings], handleSignals: true });
+
+    assert.equal(parsed.security, false);
+    assert.deepEqual(parsed.opensearchSetting, [settings]);
+    assert.equal(parsed.handleSignals, true);
+  });
+
+  it('rejects invalid values, naming the option', () => {
+    assert.throws(() => parseOptions({ opensearchPort: 'abc' }), /^Invalid value for opensearchPort: /);
+    assert.throws(() => parseOptions({ certValidity: 0 }), /^Invalid value for certValidity: /);
+  });
+});
+
+describe('launch', () => {
+  let cacheDir;
+
+  before(async () => {
+    cacheDir = await mkdtemp(path.join(os.tmpdir(), 'osd-launcher-test-'));
+  });
+
+  after(async () => {
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const assertRejects = (options, message) => assert.rejects(launch({ cacheDir, quiet: true, ...options }), error => {
+    assert.ok(error instanceof Error, 'rejects with an Error');
+    assert.match(error.message, message);
+    return true;
+  });
+
+  it('needs a version to launch', () => assertRejects({ security: false }, /^Specify opensearchVersion/));
+
+  it('needs a password when security is enabled', () => assertRejects(
+    { opensearchVersion: '2.15.0' },
+    /^Password is required when security is enabled/,
+  ));
+
+  it('rejects a password when security is disabled', () => assertRejects(
+    { opensearchVersion: '2.15.0', security: false, password: 'myStrongPassword123!' },
+    /^Password cannot be set when security is disabled/,
+  ));
+
+  it('rejects certificates outliving the certificate authority', () => assertRejects(
+    { opensearchVersion: '2.15.0', security: false, certValidity: 4000 },
+    /^--cert-validity cannot exceed --ca-validity/,
+  ));
+
+  it('rejects invalid values', () => assertRejects(
+    { opensearchVersion: '2.15.0', security: false, dashboardsPort: 70000 },
+    /^Invalid value for dashboardsPort: /,
+  ));
+});
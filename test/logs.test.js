@@ -0,0 +1,74 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { printLogs } from '../lib/logs.js';
+
+describe('printLogs', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'osd-launcher-test-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const print = async (source, lines, options) => {
+    const file = path.join(dir, `${source}.out`);
+    await writeFile(file, lines.join('\n') + '\n');
+
+    const printed = [];
+    const write = process.stdout.write;
+    process.stdout.write = text => printed.push(`${text}`.replace(/\n$/, ''));
+    try {
+      await printLogs([{ source, file }], options);
+    } finally {
+      process.stdout.write = write;
+    }
+
+    return printed;
+  };
+
+  it('filters the lines of OpenSearch by level, keeping stack traces with their line', async () => {
+    const printed = await print('opensearch', [
+      '[2024-07-01T10:00:00,000][INFO ][o.o.n.Node] started',
+      '[2024-07-01T10:00:01,000][WARN ][o.o.c.r.a.DiskThresholdMonitor] low disk watermark exceeded',
+      '[2024-07-01T10:00:02,000][ERROR][o.o.b.OpenSearchUncaughtExceptionHandler] fatal error',
+      'java.lang.IllegalStateException: failed',
+      '[2024-07-01T10:00:03,000][DEBUG][o.o.i.IndexService] created',
+    ], { level: 'warn' });
+
+    assert.deepEqual(printed, [
+      '[opensearch] [2024-07-01T10:00:01,000][WARN ][o.o.c.r.a.DiskThresholdMonitor] low disk watermark exceeded',
+      '[opensearch] [2024-07-01T10:00:02,000][ERROR][o.o.b.OpenSearchUncaughtExceptionHandler] fatal error',
+      '[opensearch] java.lang.IllegalStateException: failed',
+    ]);
+  });
+
+  it('reads the levels of Dashboards from its tags, in text and JSON', async () => {
+    const printed = await print('dashboards', [
+      '  log   [10:00:00.000] [info][listening] Server running at http://0.0.0.0:5601',
+      '  log   [10:00:01.000] [error][plugins] Failed to start',
+      JSON.stringify({
+        type: 'log',
+        '@timestamp': '2024-07-01T10:00:02Z',
+        tags: ['warning', 'security'],
+        message: 'No TLS',
+      }),
+    ], { level: 'warn' });
+
+    assert.deepEqual(printed, [
+      '[dashboards]   log   [10:00:01.000] [error][plugins] Failed to start',
+      '[dashboards] 2024-07-01T10:00:02Z WARN  [security] No TLS',
+    ]);
+  });
+
+  it('prints only the last lines asked for', async () => {
+    const printed = await print('opensearch', ['first', 'second', 'third'], { lines: 2 });
+
+    assert.deepEqual(printed, ['[opensearch] second', '[opensearch] third']);
+  });
+});
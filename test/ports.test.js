@@ -0,0 +1,81 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { allocatePorts, findFreePort, isPortFree } from '../lib/ports.js';
+
+const host = '127.0.0.1';
+
+describe('ports', () => {
+  let server;
+  let busyPort;
+
+  before(async () => {
+    server = net.createServer();
+    await new Promise(resolve => server.listen({ host, port: 0 }, resolve));
+    busyPort = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('tells whether a port is free', async () => {
+    assert.equal(await isPortFree(host, busyPort), false);
+    assert.equal(await isPortFree(host, await findFreePort(host)), true);
+  });
+
+  it('finds a free port outside of the excluded ones', async () => {
+    const port = await findFreePort(host, [busyPort, busyPort + 1], [busyPort + 1]);
+    assert.equal(port, undefined);
+  });
+
+  it('picks distinct free ports for auto', async () => {
+    const opts = {
+      opensearchHost: host,
+      opensearchPort: 'auto',
+      opensearchTransportPort: 'auto',
+      dashboardsHost: host,
+      dashboardsPort: 'auto',
+    };
+
+    await allocatePorts(opts, { opensearch: true, dashboards: true });
+
+    const ports = [opts.opensearchPort, opts.opensearchTransportPort, opts.dashboardsPort];
+    assert.ok(ports.every(port => /^\d+$/.test(port)), `${ports} are port numbers`);
+    assert.equal(new Set(ports).size, 3);
+  });
+
+  it('only allocates the ports of the launched components', async () => {
+    const opts = { opensearchHost: host, opensearchPort: 'auto', dashboardsHost: host, dashboardsPort: 'auto' };
+
+    await allocatePorts(opts, { opensearch: false, dashboards: true });
+
+    assert.equal(opts.opensearchPort, 'auto');
+    assert.match(opts.dashboardsPort, /^\d+$/);
+  });
+
+  it('rejects a port in use, naming the option to change it', async () => {
+    const opts = { dashboardsHost: host, dashboardsPort: `${busyPort}` };
+
+    await assert.rejects(
+      allocatePorts(opts, { opensearch: false, dashboards: true }),
+      new RegExp(`^Port ${busyPort} on ${host} is already in use.*--dashboards-port`),
+    );
+  });
+
+  it('rejects components sharing a port', async () => {
+    const port = `${await findFreePort(host)}`;
+    const opts = {
+      opensearchHost: host,
+      opensearchPort: port,
+      opensearchTransportPort: 'auto',
+      dashboardsHost: host,
+      dashboardsPort: port,
+    };
+
+    await assert.rejects(
+      allocatePorts(opts, { opensearch: true, dashboards: true }),
+      new RegExp(`^OpenSearch and Dashboards cannot both use port ${port}`),
+    );
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getUnitName } from '../lib/service.js';
+
+describe('getUnitName', () => {
+  it('names units after the folder of the component', () => {
+    assert.match(getUnitName('/srv/repro/OpenSearch-v2.15.0'), /^osd-launcher-opensearch-v2\.15\.0-[0-9a-f]{8}\.service$/);
+  });
+
+  it('replaces characters systemd does not allow', () => {
+    assert.match(getUnitName('/srv/repro/My Dashboards'), /^osd-launcher-my-dashboards-[0-9a-f]{8}\.service$/);
+  });
+
+  it('tells apart deployments in other destinations', () => {
+    assert.notEqual(getUnitName('/srv/a/OpenSearch-v2.15.0'), getUnitName('/srv/b/OpenSearch-v2.15.0'));
+  });
+
+  it('is stable for the same folder', () => {
+    assert.equal(getUnitName('/srv/a/OpenSearch-v2.15.0'), getUnitName('/srv/a/../a/OpenSearch-v2.15.0'));
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesVersion } from '../lib/toolchain.js';
+
+describe('matchesVersion', () => {
+  it('matches complete and partial versions', () => {
+    assert.equal(matchesVersion('18.19.0', '18'), true);
+    assert.equal(matchesVersion('18.19.0', '18.19'), true);
+    assert.equal(matchesVersion('18.19.0', '18.19.0'), true);
+  });
+
+  it('does not match other versions, or ones sharing a prefix', () => {
+    assert.equal(matchesVersion('18.19.0', '20'), false);
+    assert.equal(matchesVersion('18.19.0', '18.1'), false);
+    assert.equal(matchesVersion('1.2.3', '1.2.30'), false);
+  });
+});
@@ -0,0 +1,59 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { getReleaseListingURL, getReleaseURL, setCacheDir, tmpDir } from '../lib/config.js';
+import { configureLogging } from '../lib/logging.js';
+import { resolveVersionAlias } from '../lib/versions.js';
+
+describe('resolveVersionAlias', () => {
+  const previousCacheDir = tmpDir;
+  let cacheDir;
+
+  // Lists the versions, and which of them have artifacts, as if just fetched, so nothing is requested
+  const writeCache = async (product, available) => {
+    const now = Date.now();
+    const artifacts = Object.fromEntries(Object.entries(available)
+      .map(([version, found]) => [getReleaseURL(product, version), { available: found, checkedAt: now }]));
+
+    await writeFile(path.join(cacheDir, 'releases.json'), JSON.stringify({
+      listings: { [getReleaseListingURL(product)]: { versions: Object.keys(available), fetchedAt: now } },
+      artifacts,
+    }));
+  };
+
+  before(async () => {
+    configureLogging({ level: 'quiet' });
+    cacheDir = await mkdtemp(path.join(os.tmpdir(), 'osd-launcher-test-'));
+    setCacheDir(cacheDir);
+    await writeCache('opensearch', {
+      '1.3.18': true,
+      '2.9.0': true,
+      '2.14.0': true,
+      '2.15.0': false,
+      '3.0.0': true,
+    });
+  });
+
+  after(async () => {
+    setCacheDir(previousCacheDir);
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('resolves latest to the latest available release', async () => {
+    assert.equal(await resolveVersionAlias('opensearch', 'latest'), '3.0.0');
+  });
+
+  it('resolves major and minor aliases, skipping releases without artifacts', async () => {
+    // 2.14.0 is later than 2.9.0, which sorts after it as text
+    assert.equal(await resolveVersionAlias('opensearch', '2.x'), '2.14.0');
+    assert.equal(await resolveVersionAlias('opensearch', '2'), '2.14.0');
+    assert.equal(await resolveVersionAlias('opensearch', '2.9'), '2.9.0');
+    assert.equal(await resolveVersionAlias('opensearch', '1.3.x'), '1.3.18');
+  });
+
+  it('rejects aliases no available release matches', async () => {
+    await assert.rejects(resolveVersionAlias('opensearch', '2.15'), /^No release of OpenSearch matching 2.15/);
+  });
+});
@@ -0,0 +1,94 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { mergeYamlSettings, parseSettings } from '../lib/yaml.js';
+
+describe('parseSettings', () => {
+  // The order of the settings does not matter to the files they are merged into
+  const parse = settings => new Map(parseSettings(settings).map(([path, value]) => [path.join('.'), value]));
+
+  it('parses values as YAML', () => {
+    assert.deepEqual(parse(['a.b=2000', 'c=true', 'd=[x, y]', 'e=text']), new Map([
+      ['a.b', 2000],
+      ['c', true],
+      ['d', ['x', 'y']],
+      ['e', 'text'],
+    ]));
+  });
+
+  it('takes an empty value as removing the setting', () => {
+    assert.deepEqual(parseSettings('a.b='), [[['a', 'b'], undefined]]);
+  });
+
+  it('accepts objects with dotted and nested keys', () => {
+    assert.deepEqual(parse({ 'a.b': 1, c: { d: 2 } }), new Map([['a.b', 1], ['c.d', 2]]));
+  });
+
+  it('lets later settings win over earlier ones, nested ones included', () => {
+    assert.deepEqual(parse([{ a: { b: 1 } }, 'a=2']), new Map([['a', 2]]));
+    assert.deepEqual(parse(['a.b=1', 'a.b=3']), new Map([['a.b', 3]]));
+  });
+
+  it('rejects settings that are not key=value', () => {
+    assert.throws(() => parseSettings('novalue'), /^Invalid setting 'novalue'/);
+    assert.throws(() => parseSettings('=value'), /^Invalid setting '=value'/);
+  });
+});
+
+describe('mergeYamlSettings', () => {
+  let dir;
+  let file;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'osd-launcher-test-'));
+    file = path.join(dir, 'opensearch.yml');
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('replaces settings in place whether they use dotted or nested keys, keeping comments', async () => {
+    await writeFile(file, [
+      '# Cluster',
+      'cluster.name: old',
+      'plugins:',
+      '  security:',
+      '    # Enabled by default',
+      '    disabled: false',
+      'node.name: node-1',
+      '',
+    ].join('\n'));
+
+    await mergeYamlSettings(file, ['cluster.name=new', 'plugins.security.disabled=true']);
+
+    assert.equal(await readFile(file, 'utf8'), [
+      '# Cluster',
+      'cluster.name: new',
+      'plugins:',
+      '  security:',
+      '    # Enabled by default',
+      '    disabled: true',
+      'node.name: node-1',
+      '',
+    ].join('\n'));
+  });
+
+  it('removes settings, and the maps they leave empty', async () => {
+    await writeFile(file, 'plugins:\n  security:\n    disabled: true\nnode.name: node-1\n');
+
+    await mergeYamlSettings(file, 'plugins.security.disabled=');
+
+    assert.equal(await readFile(file, 'utf8'), 'node.name: node-1\n');
+  });
+
+  it('appends new settings with dotted keys, creating the file if needed', async () => {
+    await rm(file, { force: true });
+
+    await mergeYamlSettings(file, [{ 'http.cors': { enabled: true } }, 'http.port=9201']);
+
+    assert.equal(await readFile(file, 'utf8'), 'http.cors.enabled: true\nhttp.port: 9201\n');
+  });
+});